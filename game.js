@@ -1,175 +1,214 @@
 // Bubble Shooter Game Implementation
 
-// Debug logging system
-class DebugLogger {
-    constructor(enabled = false) {
-        this.enabled = enabled;
-        this.collisionLog = [];
-        this.frameCount = 0;
-        this.performanceMetrics = {
-            avgFrameTime: 0,
-            collisionChecks: 0,
-            gridSnaps: 0
-        };
-    }
-
-    log(category, message, data = null) {
-        if (!this.enabled) return;
-        const timestamp = performance.now();
-        const logEntry = {
-            timestamp,
-            frame: this.frameCount,
-            category,
-            message,
-            data
-        };
-        
-        console.log(`[${category.toUpperCase()}] Frame ${this.frameCount}: ${message}`, data || '');
-        
-        // Store specific logs for analysis
-        if (category === 'collision') {
-            this.collisionLog.push(logEntry);
-            if (this.collisionLog.length > 100) {
-                this.collisionLog.shift(); // Keep only last 100 collision events
+const SAVED_GAME_KEY = 'bubbleShooterSavedGame';
+const SAVE_FORMAT_VERSION = 1;
+const UNDO_LIMIT = 3; // Undos per strategy game, which is also the depth of the undo stack
+const UNDO_SCORE_COST = 50;
+const BOT_PAUSE = 3; // Seconds a bot leaves the level summary or the final result up
+const HINT_LIMIT = 3; // Hints per game
+const HINT_SCORE_COST = 25;
+const SCORE_POPUP_TIME = 1.2; // Seconds a score popup floats over the board
+const SCORE_POPUP_RISE = 30; // px per second it drifts up
+
+// Cell centres of a board's hexagonal grid and the links to their neighbours.
+// Used by the debug overlay ('G') and the level editor.
+function drawHexGrid(ctx, board) {
+    const { geometry } = board;
+    ctx.strokeStyle = 'rgba(0, 255, 0, 0.3)'; // Semi-transparent green
+    ctx.lineWidth = 1;
+    ctx.setLineDash([2, 2]); // Dashed lines
+    
+    // Draw grid positions and connections
+    for (let row = 0; row < geometry.rows; row++) {
+        for (let col = 0; col < geometry.cols; col++) {
+            const x = board.getColPosition(row, col);
+            const y = board.getRowPosition(row);
+            
+            // Draw position markers
+            ctx.beginPath();
+            ctx.arc(x, y, 3, 0, Math.PI * 2);
+            ctx.fillStyle = 'rgba(0, 255, 0, 0.5)';
+            ctx.fill();
+            
+            // Draw hexagonal connections to neighbors
+            const neighbors = board.getNeighborPositions(row, col);
+            for (const [nRow, nCol] of neighbors) {
+                if (geometry.contains(nRow, nCol)) {
+                    ctx.beginPath();
+                    ctx.moveTo(x, y);
+                    ctx.lineTo(board.getColPosition(nRow, nCol), board.getRowPosition(nRow));
+                    ctx.stroke();
+                }
             }
         }
     }
+    
+    ctx.setLineDash([]); // Reset line dash
+}
 
-    updateMetrics(frameTime, collisionChecks, gridSnaps) {
-        this.performanceMetrics.avgFrameTime = (this.performanceMetrics.avgFrameTime * 0.9) + (frameTime * 0.1);
-        this.performanceMetrics.collisionChecks += collisionChecks;
-        this.performanceMetrics.gridSnaps += gridSnaps;
-    }
-
-    nextFrame() {
-        this.frameCount++;
-    }
-
-    getReport() {
-        return {
-            frame: this.frameCount,
-            ...this.performanceMetrics,
-            recentCollisions: this.collisionLog.slice(-10)
-        };
+// Marks a special shot or obstacle on top of its bubble at (x, y); plain bubbles
+// get nothing. Shared by grid and flying bubbles, the shooter's loaded and next
+// shots and the level editor. hits is how much ice is left.
+function drawBubbleMark(ctx, type, x, y, radius, hits = 0) {
+    switch (type) {
+        case 'bomb':
+            drawBombMark(ctx, x, y, radius);
+            break;
+        case 'rainbow':
+            drawRainbowMark(ctx, x, y, radius);
+            break;
+        case 'stone':
+            drawStoneMark(ctx, x, y, radius);
+            break;
+        case 'ice':
+            drawIceMark(ctx, x, y, radius, hits);
+            break;
+        case 'lightning':
+            drawLightningMark(ctx, x, y, radius);
+            break;
+        case 'paint':
+            drawPaintMark(ctx, x, y, radius);
+            break;
     }
 }
 
-// Enhanced collision prediction system
-class CollisionPredictor {
-    constructor() {
-        this.predictionSteps = 10; // Number of steps to predict ahead
-        this.timeStep = 1/60; // Assuming 60 FPS
-    }
-
-    predictCollision(bubble, gridBubbles, canvasWidth, canvasHeight) {
-        const predictions = [];
-        let x = bubble.x;
-        let y = bubble.y;
-        let vx = bubble.vx;
-        let vy = bubble.vy;
-
-        for (let step = 0; step < this.predictionSteps; step++) {
-            // Predict next position
-            x += vx * this.timeStep;
-            y += vy * this.timeStep;
-
-            // Check wall bounces
-            if (x - bubble.radius <= 0 || x + bubble.radius >= canvasWidth) {
-                vx *= -0.95; // Energy loss on bounce
-                x = Math.max(bubble.radius, Math.min(canvasWidth - bubble.radius, x));
-            }
-
-            // Check if we hit the top
-            if (y - bubble.radius <= 0) {
-                predictions.push({
-                    step,
-                    type: 'top_wall',
-                    position: { x, y },
-                    time: step * this.timeStep
-                });
-                break;
-            }
-
-            // Check grid collisions
-            const collisionResult = this.checkGridCollision(x, y, bubble.radius, gridBubbles);
-            if (collisionResult) {
-                predictions.push({
-                    step,
-                    type: 'grid_collision',
-                    position: { x, y },
-                    collision: collisionResult,
-                    time: step * this.timeStep
-                });
-                break;
-            }
-        }
+function drawBombMark(ctx, x, y, radius) {
+    // Fuse out of the top right with a flickering spark at its end
+    const flicker = 0.7 + Math.sin(performance.now() * 0.03) * 0.3;
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(x + radius * 0.5, y - radius * 0.7);
+    ctx.quadraticCurveTo(x + radius * 0.9, y - radius * 1.2, x + radius * 1.1, y - radius * 0.9);
+    ctx.strokeStyle = '#C8A165';
+    ctx.lineWidth = Math.max(2, radius * 0.15);
+    ctx.stroke();
+    
+    ctx.beginPath();
+    ctx.arc(x + radius * 1.1, y - radius * 0.9, radius * 0.25 * flicker, 0, Math.PI * 2);
+    ctx.fillStyle = `rgba(255, 159, 67, ${flicker})`;
+    ctx.fill();
+    
+    // Pale ring so the dark bubble stands out on the dark background
+    ctx.beginPath();
+    ctx.arc(x, y, radius * 0.55, 0, Math.PI * 2);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    ctx.restore();
+}
 
-        return predictions;
-    }
+// A wheel of every bubble color, slowly turning, so a wildcard reads as "any color"
+function drawRainbowMark(ctx, x, y, radius) {
+    const turn = performance.now() * 0.002;
+    const slice = Math.PI * 2 / BUBBLE_COLORS.length;
+    ctx.save();
+    ctx.globalAlpha = 0.85;
+    BUBBLE_COLORS.forEach((color, i) => {
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.arc(x, y, radius * 0.8, turn + i * slice, turn + (i + 1) * slice);
+        ctx.closePath();
+        ctx.fillStyle = color;
+        ctx.fill();
+    });
+    
+    ctx.globalAlpha = 1;
+    ctx.beginPath();
+    ctx.arc(x, y, radius * 0.3, 0, Math.PI * 2);
+    ctx.fillStyle = 'white';
+    ctx.fill();
+    ctx.restore();
+}
 
-    checkGridCollision(x, y, radius, gridBubbles) {
-        // Quick grid-based collision check
-        const GRID_ROW_HEIGHT = radius * Math.sqrt(3);
-        const GRID_COL_SPACING = radius * 2;
-        const GRID_TOP_MARGIN = radius * 2;
+// A flickering yellow bolt
+function drawLightningMark(ctx, x, y, radius) {
+    const flicker = 0.75 + Math.sin(performance.now() * 0.04) * 0.25;
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(x + radius * 0.15, y - radius * 0.75);
+    ctx.lineTo(x - radius * 0.35, y + radius * 0.1);
+    ctx.lineTo(x, y + radius * 0.1);
+    ctx.lineTo(x - radius * 0.15, y + radius * 0.75);
+    ctx.lineTo(x + radius * 0.35, y - radius * 0.1);
+    ctx.lineTo(x, y - radius * 0.1);
+    ctx.closePath();
+    ctx.fillStyle = `rgba(254, 202, 87, ${flicker})`;
+    ctx.fill();
+    ctx.restore();
+}
 
-        const approximateRow = Math.round((y - GRID_TOP_MARGIN) / GRID_ROW_HEIGHT);
-        const approximateCol = Math.round((x - radius) / GRID_COL_SPACING);
+// White drips running down from the top, like a loaded brush
+function drawPaintMark(ctx, x, y, radius) {
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(x, y, radius * 0.85, Math.PI * 1.1, Math.PI * 1.9);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.lineWidth = Math.max(2, radius * 0.2);
+    ctx.stroke();
+    
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    [[-0.35, 0.1], [0.05, 0.3], [0.4, 0.05]].forEach(([dx, length]) => {
+        ctx.beginPath();
+        ctx.arc(x + radius * dx, y - radius * 0.55 + radius * length, radius * 0.12, 0, Math.PI * 2);
+        ctx.fill();
+    });
+    ctx.restore();
+}
 
-        const rowsToCheck = [
-            Math.max(0, approximateRow - 1),
-            approximateRow,
-            Math.min(gridBubbles.length - 1, approximateRow + 1)
-        ];
+// Cracks across a grey ball; stones never pop
+function drawStoneMark(ctx, x, y, radius) {
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(x - radius * 0.6, y - radius * 0.3);
+    ctx.lineTo(x - radius * 0.1, y - radius * 0.05);
+    ctx.lineTo(x + radius * 0.05, y - radius * 0.5);
+    ctx.moveTo(x - radius * 0.1, y - radius * 0.05);
+    ctx.lineTo(x + radius * 0.2, y + radius * 0.55);
+    ctx.moveTo(x + radius * 0.35, y + radius * 0.1);
+    ctx.lineTo(x + radius * 0.7, y + radius * 0.2);
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.55)';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    ctx.restore();
+}
 
-        for (const row of rowsToCheck) {
-            if (row < 0 || row >= gridBubbles.length) continue;
-            
-            const colStart = Math.max(0, approximateCol - 2);
-            const colEnd = Math.min(gridBubbles[row].length - 1, approximateCol + 2);
-            
-            for (let col = colStart; col <= colEnd; col++) {
-                const gridBubble = gridBubbles[row][col];
-                if (gridBubble) {
-                    const dx = x - gridBubble.x;
-                    const dy = y - gridBubble.y;
-                    const distance = Math.sqrt(dx * dx + dy * dy);
-                    
-                    if (distance < (radius + gridBubble.radius) * 0.98) {
-                        return { bubble: gridBubble, distance, row, col };
-                    }
-                }
-            }
-        }
-        return null;
+// A frosted shell with one ring per layer still to crack
+function drawIceMark(ctx, x, y, radius, hits) {
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fillStyle = 'rgba(210, 240, 255, 0.45)';
+    ctx.fill();
+    
+    for (let i = 0; i < hits; i++) {
+        ctx.beginPath();
+        ctx.arc(x, y, radius * (1 - i * 0.18) - 1, 0, Math.PI * 2);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.lineWidth = 2;
+        ctx.stroke();
     }
+    
+    // Glint
+    ctx.beginPath();
+    ctx.moveTo(x + radius * 0.2, y - radius * 0.6);
+    ctx.lineTo(x + radius * 0.55, y - radius * 0.25);
+    ctx.strokeStyle = 'white';
+    ctx.lineWidth = 3;
+    ctx.stroke();
+    ctx.restore();
 }
 
-// Game constants
-const BUBBLE_RADIUS = 20;
-const BUBBLE_COLORS = ['#FF6B6B', '#4ECDC4', '#1E3A8A', '#00FF88', '#FECA57', '#FF9FF3'];
-const SHOOTER_SPEED = 35;
-const GRID_ROWS = 10;
-const GRID_COLS = 14;
-const GRID_TOP_MARGIN = BUBBLE_RADIUS * 2;
-
-// Perfect hexagonal grid constants using mathematical precision
-const GRID_COL_SPACING = BUBBLE_RADIUS * 2; // Exact bubble diameter for perfect horizontal spacing
-const GRID_ROW_HEIGHT = BUBBLE_RADIUS * Math.sqrt(3); // Perfect hexagonal row height (√3 * radius)
-const HEX_OFFSET = BUBBLE_RADIUS; // Exact offset for odd rows in hexagonal pattern
-
-const MISSED_SHOTS_LIMIT = 5;
-const POP_THRESHOLD = 3; // Number of same-colored bubbles needed to pop
-const POINTS_PER_BUBBLE = 10;
-const AVALANCHE_BONUS = 5; // Points per bubble in an avalanche
-const CLEAR_FIELD_BONUS_MULTIPLIER = 2;
-
 class Bubble {
-    constructor(x, y, color, row = -1, col = -1) {
+    constructor(x, y, color, row = -1, col = -1, radius = BUBBLE_RADIUS) {
         this.x = x;
         this.y = y;
+        this.prevX = x; // Position at the start of the last simulation step,
+        this.prevY = y; // used to interpolate rendering between steps
         this.color = color;
-        this.radius = BUBBLE_RADIUS;
+        this.type = 'normal'; // Or a special shot such as 'bomb' (see loadShot) or a level's 'stone' or 'ice'
+        this.hits = 0; // Ice layers left to crack
+        this.wallBounced = false; // Bounced off a wall on its way up, which makes a bank shot
+        this.radius = radius;
         this.vx = 0;
         this.vy = 0;
         this.stuck = false;
@@ -209,10 +248,16 @@ class Bubble {
         });
     }
 
-    draw(ctx) {
+    // alpha is how far the renderer is between the last two simulation steps (0..1)
+    draw(ctx, alpha = 1) {
+        // Moving bubbles are drawn between their previous and current step positions;
+        // stuck bubbles sit exactly on their grid cell
+        const x = this.stuck ? this.x : this.prevX + (this.x - this.prevX) * alpha;
+        const y = this.stuck ? this.y : this.prevY + (this.y - this.prevY) * alpha;
+        
         // Update trail for flying bubbles
         if (!this.stuck && !this.removing && !this.falling) {
-            this.trail.push({ x: this.x, y: this.y, opacity: 1.0 });
+            this.trail.push({ x, y, opacity: 1.0 });
             if (this.trail.length > this.maxTrailLength) {
                 this.trail.shift();
             }
@@ -238,7 +283,7 @@ class Bubble {
             
             // Main explosion effect
             ctx.beginPath();
-            ctx.arc(this.x, this.y, this.radius * scale, 0, Math.PI * 2);
+            ctx.arc(x, y, this.radius * scale, 0, Math.PI * 2);
             ctx.fillStyle = `rgba(255, 255, 255, ${alpha * 0.9})`;
             ctx.fill();
             
@@ -247,8 +292,8 @@ class Bubble {
             for (let i = 0; i < particleCount; i++) {
                 const angle = (i / particleCount) * Math.PI * 2;
                 const distance = animationProgress * 40;
-                const particleX = this.x + Math.cos(angle) * distance;
-                const particleY = this.y + Math.sin(angle) * distance;
+                const particleX = x + Math.cos(angle) * distance;
+                const particleY = y + Math.sin(angle) * distance;
                 const particleSize = this.radius * 0.2 * (1 - animationProgress);
                 
                 ctx.beginPath();
@@ -273,7 +318,7 @@ class Bubble {
         const pulseScale = 1 + Math.sin(this.pulsePhase + performance.now() * 0.003) * 0.05;
         
         ctx.save();
-        ctx.translate(this.x + wobbleX, this.y + wobbleY);
+        ctx.translate(x + wobbleX, y + wobbleY);
         ctx.scale(pulseScale * this.scale, pulseScale * this.scale);
 
         // Enhanced glow effect
@@ -342,6 +387,7 @@ class Bubble {
             ctx.stroke();
         }
         
+        drawBubbleMark(ctx, this.type, 0, 0, this.radius, this.hits);
         ctx.restore();
     }
 
@@ -362,31 +408,34 @@ class Bubble {
         return `rgb(${r}, ${g}, ${b})`;
     }
 
-    update() {
+    // Advances the bubble by one simulation step of dt seconds. Velocities are in
+    // px per second; flying bubbles are moved by the game's swept collision.
+    update(dt = SIMULATION_STEP) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        
         if (this.removing) {
             return;
         }
         
         if (this.falling) {
-            this.vy += 0.8; // Increase falling speed for smoother gameplay
-            this.y += this.vy;
+            this.vy += FALL_GRAVITY * dt; // Increase falling speed for smoother gameplay
+            this.y += this.vy * dt;
             
             // Add rotation and scale effect while falling
-            this.pulsePhase += 0.2;
-            this.scale = Math.max(0.1, this.scale - 0.02);
-            this.opacity = Math.max(0, this.opacity - 0.03);
+            this.pulsePhase += 12 * dt;
+            this.scale = Math.max(0.1, this.scale - 1.2 * dt);
+            this.opacity = Math.max(0, this.opacity - 1.8 * dt);
             return;
         }
 
+        // Flying bubbles are moved by the game's swept collision (CollisionPredictor.sweep)
         if (!this.stuck) {
-            this.x += this.vx;
-            this.y += this.vy;
-            
             // Add dynamic glow effect for flying bubbles
             this.glowIntensity = 0.5 + Math.sin(performance.now() * 0.01) * 0.3;
         } else {
             // Reduce glow for stuck bubbles
-            this.glowIntensity = Math.max(0, this.glowIntensity - 0.02);
+            this.glowIntensity = Math.max(0, this.glowIntensity - 1.2 * dt);
         }
     }
 
@@ -444,23 +493,130 @@ class Bubble {
 }
 
 class Shooter {
-    constructor(x, y) {
+    constructor(x, y, random = new SeededRandom(), bubbleRadius = BUBBLE_RADIUS) {
         console.log('SHOOTER CREATED:', { x, y });
         this.x = x;
         this.y = y;
         this.angle = 0;
-        this.currentColor = this.getRandomColor();
-        this.nextColor = this.getRandomColor();
+        this.bubbleRadius = bubbleRadius; // Size of the bubbles it fires (board geometry)
+        this.random = random; // Shared with the game so the color queue follows the seed
+        this.sequence = []; // Colors loaded in order before any random ones (level files)
+        this.sequenceIndex = 0;
+        this.colorPool = BUBBLE_COLORS;
+        this.specialRates = {}; // Chance of each special shot per random load
+        this.queueLength = 1; // Shots previewed after the current one, the next first
+        this.upcoming = []; // { color, type } of the previewed shots after the next one
+        this.holdEnabled = false;
+        this.held = null; // { color, type } put aside in the hold slot
+        this.holdUsed = false; // The hold slot can be used once per shot
+        this.loadColors();
         this.reloadTime = 300; // ms
         this.lastShot = 0;
         console.log('Shooter colors initialized:', { current: this.currentColor, next: this.nextColor });
     }
 
-    getRandomColor() {
-        return BUBBLE_COLORS[Math.floor(Math.random() * BUBBLE_COLORS.length)];
+    // Draw a fresh current shot and preview queue, e.g. after the game reseeds its generator
+    loadColors() {
+        ({ color: this.currentColor, type: this.currentType } = this.nextShot());
+        ({ color: this.nextColor, type: this.nextType } = this.nextShot());
+        this.upcoming = [];
+        this.fillQueue();
+        this.held = null;
+        this.holdUsed = false;
+    }
+
+    // How many shots the preview shows (1-3) and whether there is a hold slot;
+    // takes effect on the next loadColors()
+    setQueue(queueLength, holdEnabled) {
+        this.queueLength = Math.max(1, Math.min(3, queueLength));
+        this.holdEnabled = holdEnabled;
+    }
+
+    // Tops the preview up to queueLength shots
+    fillQueue() {
+        while (this.upcoming.length < this.queueLength - 1) {
+            this.upcoming.push(this.nextShot());
+        }
+    }
+
+    // Moves the queue along: the next shot becomes current and a new one joins
+    // the end. Draws before shifting, in the same order as GameSimulation.
+    advance() {
+        this.upcoming.push(this.nextShot());
+        this.currentColor = this.nextColor;
+        this.currentType = this.nextType;
+        ({ color: this.nextColor, type: this.nextType } = this.upcoming.shift());
+    }
+
+    // Exchanges the current and next shots
+    swap() {
+        [this.currentColor, this.nextColor] = [this.nextColor, this.currentColor];
+        [this.currentType, this.nextType] = [this.nextType, this.currentType];
+    }
+
+    canHold() {
+        return this.holdEnabled && !this.holdUsed;
+    }
+
+    // Puts the current shot in the hold slot and takes back the one held there,
+    // or the next shot if the slot was empty
+    hold() {
+        if (!this.canHold()) return false;
+        
+        const current = { color: this.currentColor, type: this.currentType };
+        if (this.held) {
+            ({ color: this.currentColor, type: this.currentType } = this.held);
+        } else {
+            this.advance();
+        }
+        this.held = current;
+        this.holdUsed = true;
+        return true;
+    }
+
+    // Which slot is drawn at (x, y): 'next', 'hold' or null
+    slotAt(x, y) {
+        const reach = this.bubbleRadius * 0.6 + 6; // A little slack for fingers
+        if (Math.hypot(x - (this.x - 50), y - (this.y + 10)) <= reach) return 'next';
+        if (this.holdEnabled && Math.hypot(x - (this.x + 50), y - (this.y + 10)) <= reach) return 'hold';
+        return null;
+    }
+
+    // Where loaded colors come from: the sequence in order, then random loads from
+    // the pool with specialRates' special shots mixed in
+    setColorSource(sequence, pool, specialRates = {}) {
+        this.sequence = sequence;
+        this.sequenceIndex = 0;
+        this.colorPool = pool;
+        this.specialRates = specialRates;
+    }
+
+    // { color, type } of the next shot to load
+    nextShot() {
+        if (this.sequenceIndex < this.sequence.length) {
+            return { color: this.sequence[this.sequenceIndex++], type: 'normal' };
+        }
+        return loadShot(this.random, this.colorPool, this.specialRates);
+    }
+
+    // Gives loaded shots (and the held one) whose color left the pool a new one from
+    // it, current first. Random boards keep the pool to the colors on the board.
+    rerollColors() {
+        const current = { color: this.currentColor, type: this.currentType };
+        const next = { color: this.nextColor, type: this.nextType };
+        rerollShots(this.random, [current, next, ...this.upcoming, ...(this.held ? [this.held] : [])], this.colorPool);
+        this.currentColor = current.color;
+        this.nextColor = next.color;
     }
 
-    draw(ctx) {
+    // Puts a special shot (e.g. a reward) in the next slot in place of what was there
+    loadSpecial(type) {
+        this.nextColor = SPECIAL_SHOT_COLORS[type];
+        this.nextType = type;
+    }
+
+    // preview: the game's predicted path for a shot at the current angle
+    draw(ctx, preview = null) {
         // Draw shooter base
         ctx.beginPath();
         ctx.arc(this.x, this.y, 30, 0, Math.PI * 2);
@@ -484,83 +640,94 @@ class Shooter {
 
         // Draw current bubble
         ctx.beginPath();
-        ctx.arc(this.x, this.y, BUBBLE_RADIUS * 0.8, 0, Math.PI * 2);
+        ctx.arc(this.x, this.y, this.bubbleRadius * 0.8, 0, Math.PI * 2);
         ctx.fillStyle = this.currentColor;
         ctx.fill();
         ctx.strokeStyle = '#333';
         ctx.lineWidth = 2;
         ctx.stroke();
+        drawBubbleMark(ctx, this.currentType, this.x, this.y, this.bubbleRadius * 0.8);
 
-        // Draw aim line with wall bounces
-        if (this.canShoot()) {
-            this.drawAimLine(ctx, this.x, this.y, this.angle, 800);
+        // Draw aim line with wall bounces and the landing cell
+        if (this.canShoot() && preview) {
+            this.drawAimLine(ctx, preview);
         }
 
         // Draw next bubble preview
         ctx.beginPath();
-        ctx.arc(this.x - 50, this.y + 10, BUBBLE_RADIUS * 0.6, 0, Math.PI * 2);
+        ctx.arc(this.x - 50, this.y + 10, this.bubbleRadius * 0.6, 0, Math.PI * 2);
         ctx.fillStyle = this.nextColor;
         ctx.fill();
         ctx.strokeStyle = '#333';
         ctx.lineWidth = 2;
         ctx.stroke();
+        drawBubbleMark(ctx, this.nextType, this.x - 50, this.y + 10, this.bubbleRadius * 0.6);
+        
+        // Rest of the preview queue, smaller and further out
+        this.upcoming.forEach((shot, index) => {
+            const x = this.x - 78 - index * 22;
+            ctx.beginPath();
+            ctx.arc(x, this.y + 14, this.bubbleRadius * 0.4, 0, Math.PI * 2);
+            ctx.fillStyle = shot.color;
+            ctx.fill();
+            ctx.strokeStyle = '#333';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+            drawBubbleMark(ctx, shot.type, x, this.y + 14, this.bubbleRadius * 0.4);
+        });
         
         // Label for next bubble
         ctx.font = '14px Arial';
         ctx.fillStyle = 'white';
-        ctx.fillText('Next', this.x - 70, this.y + 10);
+        ctx.fillText('Next', this.x - 64, this.y + 40);
+        
+        // Hold slot, dimmed once used for this shot
+        if (this.holdEnabled) {
+            ctx.save();
+            ctx.globalAlpha = this.holdUsed ? 0.5 : 1;
+            ctx.beginPath();
+            ctx.arc(this.x + 50, this.y + 10, this.bubbleRadius * 0.6, 0, Math.PI * 2);
+            ctx.fillStyle = this.held ? this.held.color : 'rgba(255, 255, 255, 0.1)';
+            ctx.fill();
+            ctx.strokeStyle = '#333';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            if (this.held) {
+                drawBubbleMark(ctx, this.held.type, this.x + 50, this.y + 10, this.bubbleRadius * 0.6);
+            }
+            ctx.fillStyle = 'white';
+            ctx.fillText('Hold', this.x + 36, this.y + 40);
+            ctx.restore();
+        }
     }
 
-    // Draw aim line with bank shots
-    drawAimLine(ctx, startX, startY, angle, maxLength) {
+    // Draw the predicted path ({ points, cell }) and a ghost bubble in the cell
+    // the shot will occupy. cell is null when the contact is beyond the preview length.
+    drawAimLine(ctx, preview) {
         ctx.setLineDash([5, 5]);
         ctx.beginPath();
-        ctx.moveTo(startX, startY);
-        
-        let x = startX;
-        let y = startY;
-        let remainingLength = maxLength;
-        let currentAngle = angle;
-        
-        while (remainingLength > 0 && y > BUBBLE_RADIUS * 2) {
-            // Calculate next point
-            let nextX = x + Math.cos(currentAngle) * remainingLength;
-            let nextY = y + Math.sin(currentAngle) * remainingLength;
-            
-            // Check for wall collision
-            if (nextX < BUBBLE_RADIUS) {
-                // Hit left wall
-                const distToWall = Math.abs(x - BUBBLE_RADIUS);
-                const timeToWall = distToWall / Math.abs(Math.cos(currentAngle) * SHOOTER_SPEED);
-                const yAtWall = y + Math.sin(currentAngle) * SHOOTER_SPEED * timeToWall;
-                
-                ctx.lineTo(BUBBLE_RADIUS, yAtWall);
-                x = BUBBLE_RADIUS;
-                y = yAtWall;
-                currentAngle = Math.PI - currentAngle; // Reflect angle
-                remainingLength -= distToWall;
-            } else if (nextX > ctx.canvas.width - BUBBLE_RADIUS) {
-                // Hit right wall
-                const distToWall = ctx.canvas.width - BUBBLE_RADIUS - x;
-                const timeToWall = distToWall / Math.abs(Math.cos(currentAngle) * SHOOTER_SPEED);
-                const yAtWall = y + Math.sin(currentAngle) * SHOOTER_SPEED * timeToWall;
-                
-                ctx.lineTo(ctx.canvas.width - BUBBLE_RADIUS, yAtWall);
-                x = ctx.canvas.width - BUBBLE_RADIUS;
-                y = yAtWall;
-                currentAngle = Math.PI - currentAngle; // Reflect angle
-                remainingLength -= distToWall;
-            } else {
-                // No wall collision
-                ctx.lineTo(nextX, nextY);
-                remainingLength = 0;
-            }
+        ctx.moveTo(preview.points[0].x, preview.points[0].y);
+        for (let i = 1; i < preview.points.length; i++) {
+            ctx.lineTo(preview.points[i].x, preview.points[i].y);
         }
-        
         ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)'; // More visible aim line
         ctx.lineWidth = 3; // Thicker line for better visibility
         ctx.stroke();
         ctx.setLineDash([]);
+        
+        if (preview.cell) {
+            ctx.save();
+            ctx.globalAlpha = 0.4;
+            ctx.beginPath();
+            ctx.arc(preview.cell.x, preview.cell.y, this.bubbleRadius, 0, Math.PI * 2);
+            ctx.fillStyle = this.currentColor;
+            ctx.fill();
+            ctx.globalAlpha = 0.9;
+            ctx.strokeStyle = 'white';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            ctx.restore();
+        }
     }
 
     aimAt(mouseX, mouseY) {
@@ -595,24 +762,22 @@ class Shooter {
     shoot() {
         if (!this.canShoot()) return null;
         
-        console.log('SHOOTER SHOOTING - creating new bubble');
-        
         this.lastShot = Date.now();
         
-        const bubble = new Bubble(this.x, this.y, this.currentColor);
+        return this.launch();
+    }
+
+    // Fire at the current angle without the reload check - replays use this
+    // directly since their timing comes from the recorded simulation tick
+    launch() {
+        const bubble = new Bubble(this.x, this.y, this.currentColor, -1, -1, this.bubbleRadius);
+        bubble.type = this.currentType;
         bubble.vx = Math.cos(this.angle) * SHOOTER_SPEED;
         bubble.vy = Math.sin(this.angle) * SHOOTER_SPEED;
         
-        console.log('Shot bubble created:', { 
-            x: bubble.x, y: bubble.y, 
-            vx: bubble.vx, vy: bubble.vy, 
-            color: bubble.color,
-            stuck: bubble.stuck
-        });
-        
         // Update colors
-        this.currentColor = this.nextColor;
-        this.nextColor = this.getRandomColor();
+        this.advance();
+        this.holdUsed = false;
         
         return bubble;
     }
@@ -623,16 +788,29 @@ class Shooter {
 }
 
 class Game {
-    constructor(canvas) {
+    // options: { gameMode, difficulty, seed, snapshot, geometry, levelDefinition, testPlay, bot, hintIdleTime } -
+    // a seed replays the same board and shooter queue; a snapshot (see createSnapshot)
+    // resumes a saved game; geometry (BoardGeometry or its options) sets bubble size and
+    // grid dimensions; levelDefinition (a LevelDefinition or level file) plays an authored
+    // board; testPlay (from the level editor) keeps the game out of saves and high scores;
+    // bot (see GreedyBot) plays the game instead of the player; hintIdleTime (seconds,
+    // 0 for never) shows a hint once the player has been idle that long
+    constructor(canvas, options = {}) {
         console.log('=== GAME CONSTRUCTOR START ===');
         
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
+        this.levelDefinition = options.levelDefinition ? LevelDefinition.from(options.levelDefinition) : null;
+        this.testPlay = !!options.testPlay;
+        this.bot = null; // Set with setBot
+        this.botTimer = 0; // Seconds the bot has waited since its last action
+        this.botAiming = false; // The bot has aimed and fires once its delay is up
+        this.geometry = BoardGeometry.from(this.levelDefinition ? this.levelDefinition.geometry : options.geometry);
         
         // Set initial canvas dimensions for portrait mobile
         const viewportWidth = window.innerWidth;
         const viewportHeight = window.innerHeight;
-        const maxWidth = Math.min(viewportWidth - 20, 400);
+        const maxWidth = Math.min(viewportWidth - 20, this.geometry.maxWidth);
         const portraitHeight = Math.min(viewportHeight - 100, maxWidth * 1.6);
         
         canvas.width = maxWidth;
@@ -640,7 +818,6 @@ class Game {
         
         console.log('Canvas dimensions set:', { width: canvas.width, height: canvas.height });
         
-        this.gridBubbles = []; // 2D array representing the grid of bubbles
         this.flyingBubbles = []; // Bubbles that are currently moving
         this.removingBubbles = []; // Bubbles that are being removed
         this.fallingBubbles = []; // Bubbles that are falling
@@ -652,27 +829,47 @@ class Game {
         
         this.mouseX = 0;
         this.mouseY = 0;
-        this.score = 0;
         this.level = 1;
-        this.missedShots = 0;
+        this.levelStartScore = 0; // Score when the current level began
+        this.levelShots = 0; // Shots fired in the current level
+        this.levelSummary = null; // Level-complete screen; the game waits while it is shown
+        this.poppedByColor = {}; // Bubbles popped per color, for level objectives
         this.gameOver = false;
         this.gameWon = false;
-        this.bubblesCleared = 0;
-        this.totalBubbles = 0;
-        this.gameMode = "classic"; // classic, arcade, strategy
-        this.difficulty = "novice"; // novice, easy, medium, hard, master
+        this.gameMode = this.levelDefinition ? this.levelDefinition.rules.mode : options.gameMode || "classic"; // classic, arcade, strategy
+        this.difficulty = options.difficulty || "novice"; // novice, easy, medium, hard, master
         this.shotsLeft = Infinity; // For strategy mode
         this.timeLeft = Infinity; // For arcade mode
         this.soundEnabled = true;
         this.highScores = this.loadHighScores();
-        this.lastTime = 0; // For smooth frame rate control
-        this.difficultySettings = {
-            novice: { rowsToStart: 3, colors: 3, addRowFrequency: 10 },
-            easy: { rowsToStart: 4, colors: 4, addRowFrequency: 8 },
-            medium: { rowsToStart: 5, colors: 5, addRowFrequency: 6 },
-            hard: { rowsToStart: 6, colors: 6, addRowFrequency: 4 },
-            master: { rowsToStart: 7, colors: 6, addRowFrequency: 3 }
-        };
+        this.lastTime = 0; // Timestamp of the previous animation frame
+        this.accumulator = 0; // Real time (seconds) not yet consumed by simulation steps
+        this.tick = 0; // Simulation steps since the current game was set up
+        
+        // Shot recording and replay playback
+        this.recording = null; // ReplayLog of the game in progress
+        this.replay = null; // { log, shotIndex, undoIndex, hintIndex, paused, speed } while a replay is playing
+        this.fixedSize = null; // Canvas size pinned by a replay so the board geometry matches
+        
+        // Save and resume
+        this.progressDirty = false; // Grid changed since the last saved snapshot
+        this.progressSaved = false; // The stored snapshot belongs to this game
+        
+        // Strategy-mode undo: board state captured before each shot
+        this.undoStack = [];
+        this.undosUsed = 0;
+        this.resultSaved = false; // Set once the result is final (on the leaderboard, if the game earns an entry), which ends undoing
+        this.undoableResult = null; // Leaderboard entry an undo takes back off (see saveHighScore)
+        this.difficultySettings = DIFFICULTY_SETTINGS;
+        
+        // Hints: a recommended shot, drawn until the next shot
+        this.hint = null; // { angle, row, col, points } while a hint is shown
+        this.hintsUsed = 0;
+        this.hintIdleTime = options.hintIdleTime || 0;
+        this.idleTime = 0; // Seconds since the player last aimed or fired
+        this.swapsUsed = 0; // Swaps of the current and next shot, limited per mode (SWAP_LIMITS)
+        this.shooterColorsStale = false; // Board changed since the shooter last took its colors from it
+        this.scorePopups = []; // Points of recent shots floating over the board, { x, y, lines, age }
         
         this.gameStarted = false; // Track if game has been started
         this.showDebugGrid = false; // Debug mode to show hexagonal grid
@@ -682,37 +879,52 @@ class Game {
         
         // CRITICAL: Add flag to prevent duplicate event listeners
         this.eventListenersAttached = false;
+        this.domListeners = []; // Removed again by destroy()
+        this.destroyed = false;
         
         // CRITICAL: Add timestamp to prevent immediate shooting after game start
         this.gameStartTime = 0;
         this.shootingDelay = 500; // 500ms delay after game start before allowing shooting
         
-        // Fix for collision detection timing issue
-        this.pendingNewRow = false; // Flag to defer addNewRow() until after flying bubble processing
-        
         // Enhanced debug and collision systems
         this.debugLogger = new DebugLogger(false); // Enable with 'D' key
-        this.collisionPredictor = new CollisionPredictor();
+        this.collisionPredictor = new CollisionPredictor(this.geometry);
         this.frameStartTime = 0;
         this.collisionChecksThisFrame = 0;
-        this.gridSnapsThisFrame = 0;
+        
+        // One seeded generator drives every random decision in a game. A seed given
+        // at start-up is kept across restarts; otherwise each restart rolls a new one.
+        this.seedLocked = options.seed !== undefined && options.seed !== null && options.seed !== '';
+        this.seed = this.seedLocked ? SeededRandom.normalizeSeed(options.seed) : SeededRandom.randomSeed();
+        this.random = new SeededRandom(this.seed);
+        
+        // Grid, score and match rules live in the headless board (game_core.js);
+        // Game wraps it with rendering, input and animation
+        this.board = new Board({
+            width: canvas.width,
+            geometry: this.geometry,
+            debugLogger: this.debugLogger,
+            random: this.random,
+            createBubble: (x, y, color, row, col, radius) => new Bubble(x, y, color, row, col, radius)
+        });
         this.showDebugInfo = false; // Toggle with 'I' key
         
+        // Lifecycle events for overlays and analytics (see GAME_EVENTS); handlers
+        // stay subscribed across restarts of this Game
+        this.events = new EventEmitter();
+        this.seeking = false; // Replay seeks re-simulate silently
+        
         // Enhanced collision settings
         this.collisionSettings = {
             precisionFactor: 0.98, // Tighter collision detection
-            wallBounceRestitution: 0.95, // Energy retention on wall bounce
-            snapDistance: BUBBLE_RADIUS * 2.05, // Distance for proximity snapping
+            wallBounceRestitution: WALL_RESTITUTION, // Energy retention on wall bounce
+            snapDistance: this.geometry.bubbleRadius * 2.05, // Distance for proximity snapping
             predictionSteps: 10, // Steps ahead for collision prediction
             smoothingFactor: 0.1 // For velocity smoothing
         };
         
-        // Score buckets system
-        this.scoreBuckets = [
-            { x: 0, width: 0, score: 100, color: '#4ECDC4', label: '100' },
-            { x: 0, width: 0, score: 200, color: '#45B7D1', label: '200' },
-            { x: 0, width: 0, score: 300, color: '#FF6B6B', label: '300' }
-        ];
+        // Score buckets system (rebuilt for each level's scoring rules, positioned by layoutScoreBuckets)
+        this.scoreBuckets = SCORE_BUCKETS.map(bucket => ({ x: 0, width: 0, ...bucket }));
         this.finishLineY = 0; // Will be set in resizeCanvas
     
         console.log('=== CALLING setupEventListeners ===');
@@ -721,6 +933,13 @@ class Game {
         console.log('=== CALLING initGame ===');
         this.initGame(); // Initialize the game grid and basic setup
         
+        if (options.snapshot) {
+            this.restoreSnapshot(options.snapshot);
+        }
+        if (options.bot) {
+            this.setBot(options.bot);
+        }
+        
         // CRITICAL: Mark initialization as complete
         this.initializing = false;
         console.log('=== INITIALIZATION COMPLETE ===');
@@ -750,25 +969,44 @@ class Game {
         return scores ? JSON.parse(scores) : [];
     }
 
-    saveHighScore(score) {
+    // Puts the result on the leaderboard. An undoable result - the last strategy shot
+    // was just fired - leaves undo open, and an undo withdraws the entry again.
+    saveHighScore(score, undoable = false) {
+        this.resultSaved = !undoable; // Ends undoing even for games without an entry
+        if (this.replay || this.testPlay || this.bot) return; // Replays, editor test games and bot games never earn a leaderboard entry
+        
+        const entry = { score, date: new Date().toISOString(), mode: this.gameMode, difficulty: this.difficulty, level: this.level, seed: this.seed, undos: this.undosUsed };
+        this.undoableResult = undoable ? entry : null;
         const scores = this.loadHighScores();
-        scores.push({ score, date: new Date().toISOString(), mode: this.gameMode, difficulty: this.difficulty });
+        scores.push(entry);
         scores.sort((a, b) => b.score - a.score);
         if (scores.length > 10) scores.length = 10; // Keep only top 10
         localStorage.setItem('bubbleShooterHighScores', JSON.stringify(scores));
     }
 
-    initGame() {
+    withdrawHighScore() {
+        if (!this.undoableResult) return;
+        
+        const { date, seed } = this.undoableResult;
+        const scores = this.loadHighScores().filter(entry => entry.date !== date || entry.seed !== seed);
+        localStorage.setItem('bubbleShooterHighScores', JSON.stringify(scores));
+        this.undoableResult = null;
+    }
+
+    initGame(seed = this.seed) {
         console.log('=== INIT GAME START ===');
         
-        this.gridBubbles = [];
+        // Reseed first so the board and the shooter queue both follow from the seed
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.random.reset(this.seed);
+        console.log('Game seed:', this.seed);
+        
         this.flyingBubbles = [];
         this.removingBubbles = [];
         this.fallingBubbles = [];
-        this.score = 0;
-        this.missedShots = 0;
         this.gameOver = false;
         this.gameWon = false;
+        this.levelSummary = null;
         
         console.log('Arrays cleared, bubble counts:', {
             flyingBubbles: this.flyingBubbles.length,
@@ -776,110 +1014,334 @@ class Game {
             removingBubbles: this.removingBubbles.length
         });
         
-        // Reset collision timing fix flag
-        this.pendingNewRow = false;
-        
-        // Initialize grid
-        for (let row = 0; row < GRID_ROWS; row++) {
-            this.gridBubbles[row] = [];
-            for (let col = 0; col < GRID_COLS; col++) {
-                this.gridBubbles[row][col] = null;
-            }
+        // Clears the grid, score, miss counter and the deferred new row flag
+        this.board.width = this.canvas.width;
+        this.board.reset();
+        this.tick = 0;
+        this.progressDirty = false;
+        this.undoStack = [];
+        this.undosUsed = 0;
+        this.resultSaved = false;
+        this.undoableResult = null;
+        this.hint = null;
+        this.hintsUsed = 0;
+        this.swapsUsed = 0;
+        this.scorePopups = [];
+        this.idleTime = 0;
+        
+        // Every live game is recorded; a replay keeps playing its own log instead
+        if (!this.replay) {
+            this.recording = new ReplayLog({
+                seed: this.seed,
+                mode: this.gameMode,
+                difficulty: this.difficulty,
+                width: this.canvas.width,
+                height: this.canvas.height,
+                geometry: this.geometry.toJSON(),
+                level: this.levelDefinition && this.levelDefinition.toJSON()
+            });
         }
         
         console.log('Grid initialized');
         
-        // Create initial bubble grid based on difficulty
-        const settings = this.difficultySettings[this.difficulty];
-        const colorSubset = BUBBLE_COLORS.slice(0, settings.colors);
-        
-        console.log('Creating initial bubbles with settings:', settings);
+        this.setupLevel(1);
         
-        // Calculate maximum bubbles that can fit in the grid based on canvas width
-        const maxBubblesPerRow = Math.floor((this.canvas.width - BUBBLE_RADIUS * 2) / GRID_COL_SPACING);
-        const effectiveGridCols = Math.min(GRID_COLS, maxBubblesPerRow);
+        if (this.shooter) {
+            const definition = this.levelDefinition;
+            this.shooter.setColorSource(
+                definition ? definition.sequence : [],
+                this.getShooterPool(),
+                definition ? {} : this.difficultySettings[this.difficulty].specials
+            );
+            const { queueLength, hold } = this.difficultySettings[this.difficulty];
+            this.shooter.setQueue(queueLength || 1, !!hold);
+            this.shooter.loadColors();
+        }
         
-        console.log('Grid calculations:', { maxBubblesPerRow, effectiveGridCols });
+        console.log('=== INIT GAME END ===');
+        console.log('Final bubble counts after initGame:', {
+            gridBubbles: this.gridBubbles.flat().filter(b => b !== null).length,
+            flyingBubbles: this.flyingBubbles.length,
+            fallingBubbles: this.fallingBubbles.length,
+            removingBubbles: this.removingBubbles.length
+        });
+    }
+
+    // ---- Levels ----
+
+    // Difficulty settings adjusted for the current level
+    getLevelSettings() {
+        return getLevelSettings(this.difficultySettings[this.difficulty], this.level);
+    }
+
+    // Colors of the current level's random boards and new rows
+    getLevelColors() {
+        return BUBBLE_COLORS.slice(0, this.getLevelSettings().colors);
+    }
+
+    // Where the shooter's random colors come from: a level file's pool, or the
+    // level's colors still on a random board (see shooterPool)
+    getShooterPool() {
+        return this.levelDefinition ? this.levelDefinition.pool : shooterPool(this.board, this.getLevelColors());
+    }
+
+    // Points the shooter at the board's current colors once the board has changed,
+    // re-rolling loaded shots whose color was cleared
+    refreshShooterColors() {
+        if (this.levelDefinition) return; // Authored shooters are part of the level's design
+        this.shooter.colorPool = this.getShooterPool();
+        this.shooter.rerollColors();
+    }
+
+    // Misses before a new row is pushed on the current level
+    getMissLimit() {
+        if (this.levelDefinition) {
+            return this.levelDefinition.rules.missesPerRow || Infinity; // 0 never pushes a new row
+        }
+        return this.getLevelSettings().addRowFrequency;
+    }
+
+    // The mode's point values, with a level file's rules.scoring on top
+    getScoringRules() {
+        return ScoringRules.forMode(this.gameMode, this.levelDefinition ? this.levelDefinition.rules.scoring : {});
+    }
+
+    // Hands the scoring rules to the board and rebuilds the buckets from their values;
+    // bucket colors repeat SCORE_BUCKETS' when there are more of them
+    applyScoringRules() {
+        const rules = this.getScoringRules();
+        this.board.scoring = rules;
+        this.scoreBuckets = rules.buckets.map((score, i) => ({
+            x: 0,
+            width: 0,
+            score,
+            color: SCORE_BUCKETS[i % SCORE_BUCKETS.length].color,
+            label: String(score)
+        }));
+        this.layoutScoreBuckets();
+    }
+
+    // Non-zero entries of the board's score breakdown as { source, label, points }, in SCORE_SOURCES order
+    getScoreBreakdown() {
+        return Object.keys(SCORE_SOURCES)
+            .filter(source => this.board.scoreBreakdown[source])
+            .map(source => ({ source, label: SCORE_SOURCES[source], points: this.board.scoreBreakdown[source] }));
+    }
+
+    // Fills the empty board for a level and resets the mode's shot or time budget
+    setupLevel(level) {
+        this.level = level;
+        this.levelStartScore = this.score;
+        this.levelShots = 0;
+        this.poppedByColor = {};
+        this.applyScoringRules();
         
-        let bubblesCreated = 0;
-        for (let row = 0; row < settings.rowsToStart; row++) {
-            for (let col = 0; col < effectiveGridCols; col++) {
-                // Skip some bubbles randomly for aesthetic reasons and to create more interesting patterns
-                if (Math.random() < 0.85) {
-                    const x = this.getColPosition(row, col);
-                    const y = this.getRowPosition(row);
-                    
-                    // Ensure we don't place bubbles too close to the edge or overlapping
-                    if (x < BUBBLE_RADIUS || x > this.canvas.width - BUBBLE_RADIUS) {
-                        console.log('Skipping bubble due to edge constraint:', { row, col, x });
-                        continue;
-                    }
-                    // Use wouldOverlapPrecise for robust overlap prevention
-                    if (this.wouldOverlapPrecise(x, y, row, col)) {
-                        console.log('Skipping bubble due to overlap:', { row, col, x, y });
-                        continue;
-                    }
-                    
-                    // Create color clusters for more strategic gameplay
-                    let color;
-                    if (row > 0 && col > 0 && this.gridBubbles[row-1][col] && Math.random() < 0.6) {
-                        color = this.gridBubbles[row-1][col].color;
-                    } else if (col > 0 && this.gridBubbles[row][col-1] && Math.random() < 0.4) {
-                        color = this.gridBubbles[row][col-1].color;
-                    } else {
-                        color = colorSubset[Math.floor(Math.random() * colorSubset.length)];
-                    }
-                    
-                    console.log('Creating grid bubble:', { row, col, x, y, color });
-                    const bubble = new Bubble(x, y, color, row, col);
-                    // CRITICAL FIX: Set stuck=true IMMEDIATELY after creation, before any other operations
-                    bubble.stuck = true;
-                    bubble.vx = 0; // Ensure no velocity
-                    bubble.vy = 0; // Ensure no velocity
-                    this.gridBubbles[row][col] = bubble;
-                    this.totalBubbles++;
-                    bubblesCreated++;
-                }
-            }
+        if (this.levelDefinition) {
+            this.setupLevelDefinition();
+            return;
         }
         
+        // Create initial bubble grid based on difficulty and level
+        const settings = this.getLevelSettings();
+        this.board.missLimit = this.getMissLimit();
+        
+        console.log('Creating initial bubbles with settings:', settings);
+        
+        const rows = Math.min(settings.rowsToStart, this.geometry.rows - 2); // Leave room before the lose line
+        const bubblesCreated = this.board.fill(rows, this.getLevelColors());
+        this.shooterColorsStale = true;
+        
         console.log('Grid bubbles created:', bubblesCreated);
 
         // Set up game mode specifics
         if (this.gameMode === "strategy") {
-            this.shotsLeft = 30; // Limited shots for strategy mode
+            this.shotsLeft = STRATEGY_SHOTS; // Limited shots for strategy mode
         } else if (this.gameMode === "arcade") {
-            this.timeLeft = 120; // 2 minutes for arcade mode
+            this.timeLeft = ARCADE_TIME;
         }
+    }
+
+    // An authored board: its grid, miss limit and shot or time budget
+    setupLevelDefinition() {
+        const { rules } = this.levelDefinition;
+        this.board.loadLevel(this.levelDefinition);
+        this.board.missLimit = this.getMissLimit();
         
-        console.log('=== INIT GAME END ===');
-        console.log('Final bubble counts after initGame:', {
-            gridBubbles: this.gridBubbles.flat().filter(b => b !== null).length,
-            flyingBubbles: this.flyingBubbles.length,
-            fallingBubbles: this.fallingBubbles.length,
-            removingBubbles: this.removingBubbles.length
+        if (this.gameMode === "strategy") {
+            this.shotsLeft = rules.shotLimit || STRATEGY_SHOTS;
+        } else if (this.gameMode === "arcade") {
+            this.timeLeft = rules.timeLimit || ARCADE_TIME;
+        }
+    }
+
+    // A level file is won once all its objectives are met; random boards by clearing them
+    isLevelComplete() {
+        if (!this.levelDefinition) {
+            return this.board.countBubbles() === 0;
+        }
+        return this.levelDefinition.objectives.every(objective => {
+            switch (objective.type) {
+                case 'clear':
+                    return this.board.countBubbles() === 0;
+                case 'score':
+                    return this.score >= objective.target;
+                case 'pop': {
+                    const popped = objective.color
+                        ? this.poppedByColor[objective.color] || 0
+                        : Object.values(this.poppedByColor).reduce((sum, count) => sum + count, 0);
+                    return popped >= objective.count;
+                }
+                default:
+                    return false;
+            }
         });
     }
 
-    getColPosition(row, col) {
-        // Perfect hexagonal grid positioning
-        const isOddRow = row % 2 === 1;
-        const baseX = col * GRID_COL_SPACING + BUBBLE_RADIUS;
+    // Called once the level is complete. The next level is built straight away so a
+    // save taken on the summary screen already holds it; play resumes with continueLevel().
+    completeLevel() {
+        const levelScore = this.score - this.levelStartScore;
+        const { clearBonus, timeBonus, shotBonus } = this.board.scoring.levelBonuses({
+            levelScore,
+            cleared: this.board.countBubbles() === 0,
+            timeLeft: this.gameMode === "arcade" ? this.timeLeft : undefined,
+            shotsLeft: this.gameMode === "strategy" ? this.shotsLeft : undefined
+        });
+        this.board.addScore('clearBonus', clearBonus);
+        this.board.addScore('timeBonus', timeBonus);
+        this.board.addScore('shotBonus', shotBonus);
+        
+        const summary = {
+            level: this.level,
+            score: this.score,
+            levelScore,
+            bonus: clearBonus,
+            timeBonus,
+            shotBonus,
+            shots: this.levelShots
+        };
+        this.debugLogger.log('game', 'Level complete', summary);
+        this.emit(GAME_EVENTS.LEVEL_COMPLETE, summary);
         
-        // For odd rows, offset by exactly half the column spacing for perfect hexagonal alignment
-        const offsetX = isOddRow ? HEX_OFFSET : 0;
+        if (this.levelDefinition || this.level >= LEVEL_COUNT) {
+            this.gameWon = true;
+            this.saveHighScore(this.score);
+            this.debugLogger.log('game', 'Game won - all levels cleared', { finalScore: this.score });
+            this.emit(GAME_EVENTS.GAME_WON, { score: this.score, level: this.level, breakdown: this.getScoreBreakdown() });
+            return;
+        }
         
-        return baseX + offsetX;
+        // Shots still in flight belonged to the cleared board
+        this.flyingBubbles = [];
+        this.board.missedShots = 0;
+        this.board.pendingNewRow = false;
+        this.undoStack = []; // Undo cannot reach back into a finished level
+        this.hint = null; // It was for the cleared board
+        this.idleTime = 0;
+        this.setupLevel(this.level + 1);
+        this.levelSummary = summary;
+        this.progressDirty = true;
+    }
+
+    continueLevel() {
+        this.levelSummary = null;
+        this.gameStartTime = Date.now(); // Same guard against a stray shot as a fresh start
+    }
+
+    // Grid state lives on the board; these keep the familiar Game fields working
+    get gridBubbles() {
+        return this.board.gridBubbles;
+    }
+
+    get score() {
+        return this.board.score;
+    }
+
+    set score(value) {
+        this.board.score = value;
+    }
+
+    get missedShots() {
+        return this.board.missedShots;
+    }
+
+    set missedShots(value) {
+        this.board.missedShots = value;
+    }
+
+    get pendingNewRow() {
+        return this.board.pendingNewRow;
+    }
+
+    set pendingNewRow(value) {
+        this.board.pendingNewRow = value;
+    }
+
+    getColPosition(row, col) {
+        return this.board.getColPosition(row, col);
     }
 
     getRowPosition(row) {
-        // Perfect vertical spacing using √3 * radius for true hexagonal geometry
-        return row * GRID_ROW_HEIGHT + GRID_TOP_MARGIN;
+        return this.board.getRowPosition(row);
+    }
+
+    getNeighborPositions(row, col) {
+        return this.board.getNeighborPositions(row, col);
+    }
+
+    // Switches to another board geometry (replays and saved games bring their own);
+    // takes effect on the next initGame()
+    setGeometry(geometry) {
+        this.geometry = BoardGeometry.from(geometry);
+        this.board.geometry = this.geometry;
+        this.collisionPredictor.geometry = this.geometry;
+        this.collisionSettings.snapDistance = this.geometry.bubbleRadius * 2.05;
+        if (this.shooter) {
+            this.shooter.bubbleRadius = this.geometry.bubbleRadius;
+        }
+    }
+
+    // Subscribe to a GAME_EVENTS type; returns a function that unsubscribes
+    on(type, handler) {
+        return this.events.on(type, handler);
+    }
+
+    off(type, handler) {
+        this.events.off(type, handler);
+    }
+
+    emit(type, details) {
+        if (this.seeking) return;
+        this.events.emit(type, details);
+    }
+
+    // Registers a DOM listener that destroy() removes again
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.domListeners.push({ target, type, handler, options });
+    }
+
+    // Shortcut keys and right-clicks are for the game only while its screen shows and
+    // the player is not in a form field, such as the seed or a level name
+    isGameInput(e) {
+        const target = e.target;
+        if (target && ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName)) return false;
+        return this.canvas.getClientRects().length > 0; // None while the screen is hidden behind a menu
+    }
+
+    // Stops the loop and detaches input, so a replaced game no longer reacts
+    // to clicks or overwrites the saved game
+    destroy() {
+        this.destroyed = true;
+        this.domListeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.domListeners = [];
     }
 
     setupEventListeners() {
         // Add resize handler for responsive canvas sizing
-        window.addEventListener('resize', () => {
+        this.listen(window, 'resize', () => {
             this.resizeCanvas();
         });
         
@@ -891,16 +1353,17 @@ class Game {
             this.eventListenersAttached = true;
             
             // Use document for mouse movement to ensure full canvas coverage
-            document.addEventListener('mousemove', (e) => {
-                if (!this.gameStarted || this.gameOver || this.gameWon || !this.shooter || this.initializing) return;
+            this.listen(document, 'mousemove', (e) => {
+                if (!this.gameStarted || this.gameOver || this.gameWon || !this.shooter || this.initializing || this.replay || this.bot) return;
                 const rect = this.canvas.getBoundingClientRect();
                 this.mouseX = e.clientX - rect.left;
                 this.mouseY = e.clientY - rect.top;
                 this.shooter.aimAt(this.mouseX, this.mouseY);
+                this.idleTime = 0;
             });
 
-            document.addEventListener('click', (e) => {
-                if (!this.gameStarted || !this.shooter || this.initializing) return;
+            this.listen(document, 'click', (e) => {
+                if (!this.gameStarted || !this.shooter || this.initializing || this.replay || this.bot) return;
                 
                 // CRITICAL: Check if enough time has passed since game start to prevent accidental shooting
                 const timeSinceStart = Date.now() - this.gameStartTime;
@@ -914,35 +1377,37 @@ class Game {
                     this.restartGame();
                     return;
                 }
+                
+                if (this.levelSummary) {
+                    this.continueLevel();
+                    return;
+                }
 
                 // Only handle clicks when the canvas is clicked
                 const rect = this.canvas.getBoundingClientRect();
                 const clickX = e.clientX - rect.left;
                 const clickY = e.clientY - rect.top;
                 
+                // Clicking the next shot swaps it in, clicking the hold slot holds
+                const slot = this.shooter.slotAt(clickX, clickY);
+                if (slot) {
+                    if (slot === 'next') this.swapShots(); else this.holdShot();
+                    return;
+                }
+                
                 // CRITICAL: Add bounds checking and prevent shooting during initialization
                 if (clickX >= 0 && clickX <= this.canvas.width && 
                     clickY >= 0 && clickY <= this.canvas.height &&
                     !this.initializing) {
                     
-                    console.log('User clicked to shoot at:', { clickX, clickY, timeSinceStart });
-                    const bubble = this.shooter.shoot();
-                    if (bubble) {
-                        console.log('Bubble shot created by user click');
-                        this.playSound('shoot');
-                        this.flyingBubbles.push(bubble);
-                        if (this.gameMode === "strategy") {
-                            this.shotsLeft--;
-                            if (this.shotsLeft <= 0) {
-                                this.gameOver = true;
-                            }
-                        }
-                    }
+                    this.debugLogger.log('game', 'Click to shoot', { clickX, clickY, timeSinceStart });
+                    this.fireShot();
                 }
             });
 
             // Keyboard controls for debug features
-            document.addEventListener('keydown', (e) => {
+            this.listen(document, 'keydown', (e) => {
+                if (!this.isGameInput(e)) return;
                 const key = e.key.toLowerCase();
                 
                 switch (key) {
@@ -975,7 +1440,29 @@ class Game {
                         }
                         break;
                         
-                    case 'p':
+                    case 'u':
+                        this.undoLastShot();
+                        break;
+                        
+                    case 'h':
+                        this.requestHint();
+                        break;
+                        
+                    case 's':
+                        this.swapShots();
+                        break;
+                        
+                    case 'z':
+                        this.holdShot();
+                        break;
+                        
+                    case 'enter':
+                        if (this.levelSummary && !this.replay) {
+                            this.continueLevel();
+                        }
+                        break;
+                        
+                    case 'p':
                         // Toggle collision prediction visualization
                         this.showCollisionPrediction = !this.showCollisionPrediction;
                         this.debugLogger.log('debug', 'Toggled collision prediction', { enabled: this.showCollisionPrediction });
@@ -983,19 +1470,27 @@ class Game {
                 }
             });
 
+            // Right-click swaps the current and next shots
+            this.listen(this.canvas, 'contextmenu', (e) => {
+                if (!this.isGameInput(e)) return; // Leave the browser menu alone elsewhere
+                e.preventDefault();
+                this.swapShots();
+            });
+
             // Touch support for mobile
-            document.addEventListener('touchmove', (e) => {
-                if (!this.gameStarted || this.gameOver || this.gameWon || !this.shooter || this.initializing) return;
+            this.listen(document, 'touchmove', (e) => {
+                if (!this.gameStarted || this.gameOver || this.gameWon || !this.shooter || this.initializing || this.replay || this.bot) return;
                 e.preventDefault();
                 const rect = this.canvas.getBoundingClientRect();
                 const touch = e.touches[0];
                 this.mouseX = touch.clientX - rect.left;
                 this.mouseY = touch.clientY - rect.top;
                 this.shooter.aimAt(this.mouseX, this.mouseY);
+                this.idleTime = 0;
             }, { passive: false });
 
-            document.addEventListener('touchstart', (e) => {
-                if (!this.gameStarted || !this.shooter || this.initializing) return;
+            this.listen(document, 'touchstart', (e) => {
+                if (!this.gameStarted || !this.shooter || this.initializing || this.replay || this.bot) return;
                 
                 // CRITICAL: Check if enough time has passed since game start to prevent accidental shooting
                 const timeSinceStart = Date.now() - this.gameStartTime;
@@ -1009,6 +1504,11 @@ class Game {
                     this.restartGame();
                     return;
                 }
+                
+                if (this.levelSummary) {
+                    this.continueLevel();
+                    return;
+                }
 
                 e.preventDefault();
                 const rect = this.canvas.getBoundingClientRect();
@@ -1016,31 +1516,561 @@ class Game {
                 const touchX = touch.clientX - rect.left;
                 const touchY = touch.clientY - rect.top;
                 
+                // Tapping the next shot swaps it in, tapping the hold slot holds
+                const slot = this.shooter.slotAt(touchX, touchY);
+                if (slot) {
+                    if (slot === 'next') this.swapShots(); else this.holdShot();
+                    return;
+                }
+                
                 // CRITICAL: Add bounds checking and prevent shooting during initialization
                 if (touchX >= 0 && touchX <= this.canvas.width && 
                     touchY >= 0 && touchY <= this.canvas.height &&
                     !this.initializing) {
                     
-                    console.log('User touched to shoot at:', { touchX, touchY, timeSinceStart });
-                    const bubble = this.shooter.shoot();
-                    if (bubble) {
-                        console.log('Bubble shot created by user touch');
-                        this.playSound('shoot');
-                        this.flyingBubbles.push(bubble);
-                        if (this.gameMode === "strategy") {
-                            this.shotsLeft--;
-                            if (this.shotsLeft <= 0) {
-                                this.gameOver = true;
-                            }
-                        }
-                    }
+                    this.debugLogger.log('game', 'Touch to shoot', { touchX, touchY, timeSinceStart });
+                    this.fireShot();
                 }
             }, { passive: false });
         }
     }
 
+    // Puts a bubble from the shooter into play and records the shot. Replayed
+    // shots skip the reload check since their timing comes from the recorded tick.
+    fireShot(replayed = false) {
+        const undoPoint = this.gameMode === "strategy" ? this.captureState() : null;
+        const bubble = replayed ? this.shooter.launch() : this.shooter.shoot();
+        if (!bubble) return null;
+        
+        if (undoPoint) {
+            this.undoStack.push(undoPoint);
+            if (this.undoStack.length > UNDO_LIMIT) {
+                this.undoStack.shift();
+            }
+        }
+        
+        // Resumed games have no recording - a replay can only start from the seed
+        if (!this.replay && this.recording) {
+            this.recording.recordShot(this.tick, this.shooter.angle);
+        }
+        
+        this.debugLogger.log('game', 'Shot fired', {
+            x: bubble.x, y: bubble.y,
+            vx: bubble.vx, vy: bubble.vy,
+            color: bubble.color,
+            type: bubble.type
+        });
+        this.playSound('shoot');
+        this.flyingBubbles.push(bubble);
+        this.levelShots++;
+        this.hint = null;
+        this.idleTime = 0;
+        this.emit(GAME_EVENTS.SHOT_FIRED, { color: bubble.color, angle: this.shooter.angle, tick: this.tick });
+        if (this.gameMode === "strategy") {
+            this.shotsLeft--;
+            if (this.shotsLeft <= 0) {
+                this.gameOver = true;
+                this.saveHighScore(this.score, true);
+                this.emit(GAME_EVENTS.GAME_OVER, { score: this.score, reason: 'shots', breakdown: this.getScoreBreakdown() });
+            }
+        }
+        return bubble;
+    }
+
+    // ---- Swap and hold ----
+
+    // Swaps per game in the current mode
+    getSwapLimit() {
+        return SWAP_LIMITS[this.gameMode] !== undefined ? SWAP_LIMITS[this.gameMode] : Infinity;
+    }
+
+    canMoveShots() {
+        return this.gameStarted && !!this.shooter && !this.replay && !this.bot &&
+            !this.gameOver && !this.gameWon && !this.levelSummary;
+    }
+
+    canSwap() {
+        return this.canMoveShots() && this.swapsUsed < this.getSwapLimit();
+    }
+
+    canHold() {
+        return this.canMoveShots() && this.shooter.canHold();
+    }
+
+    // Exchanges the current and next shots if the mode has swaps left
+    swapShots() {
+        if (!this.canSwap()) return false;
+        this.moveShots('swap');
+        return true;
+    }
+
+    // Puts the current shot in the hold slot (higher difficulties), once per shot
+    holdShot() {
+        if (!this.canHold()) return false;
+        this.moveShots('hold');
+        return true;
+    }
+
+    // Applies and records a swap or hold; replays call this directly for recorded ones
+    moveShots(move) {
+        if (move === 'swap') {
+            this.shooter.swap();
+            this.swapsUsed++;
+        } else {
+            this.shooter.hold();
+        }
+        
+        if (!this.replay && this.recording) {
+            this.recording.recordSwap(this.tick, move);
+        }
+        this.hint = null; // It was for the shot that is no longer current
+        this.idleTime = 0;
+        this.progressDirty = true;
+        this.debugLogger.log('game', move === 'swap' ? 'Shots swapped' : 'Shot held', { swapsUsed: this.swapsUsed });
+        this.emit(GAME_EVENTS.SHOTS_SWAPPED, {
+            move,
+            color: this.shooter.currentColor,
+            swapsLeft: this.getSwapLimit() - this.swapsUsed
+        });
+    }
+
+    // ---- Hints ----
+
+    canHint() {
+        return this.gameStarted && !!this.shooter && !this.replay && !this.bot && !this.hint &&
+            !this.gameOver && !this.gameWon && !this.levelSummary && this.hintsUsed < HINT_LIMIT;
+    }
+
+    // Shows a hint for HINT_SCORE_COST points if one is left; idle hints come from
+    // hintIdleTime rather than the player asking
+    requestHint(idle = false) {
+        if (!this.canHint() || !this.takeHint(idle)) return false;
+        
+        if (this.recording) {
+            this.recording.recordHint(this.tick);
+        }
+        return true;
+    }
+
+    // Recommends the shot the greedy bot would take with the current color, found
+    // with the real trajectory and match rules, and charges for it. Its path is cut
+    // off at the difficulty's previewLength like the aim line; the ring still marks
+    // the landing cell. Replays call this directly for recorded hints.
+    takeHint(idle) {
+        const best = new GreedyBot().rankShots(this.getBotState(), this.board, this.shooter.currentColor, this.shooter.currentType)[0];
+        if (!best) return false;
+        
+        const { points } = this.collisionPredictor.traceShot(this.board, this.shooter.x, this.shooter.y, best.angle, {
+            restitution: this.collisionSettings.wallBounceRestitution,
+            maxLength: this.difficultySettings[this.difficulty].previewLength
+        });
+        this.hint = { angle: best.angle, row: best.row, col: best.col, points };
+        this.hintsUsed++;
+        this.board.addScore('hints', -Math.min(this.score, HINT_SCORE_COST));
+        this.progressDirty = true;
+        this.debugLogger.log('game', 'Hint shown', { row: best.row, col: best.col, idle, hintsUsed: this.hintsUsed });
+        this.emit(GAME_EVENTS.HINT_SHOWN, {
+            row: best.row,
+            col: best.col,
+            angle: best.angle,
+            hintsLeft: HINT_LIMIT - this.hintsUsed,
+            idle
+        });
+        return true;
+    }
+
+    // The recommended path and a pulsing ring on the cell it lands in
+    drawHint() {
+        const { ctx } = this;
+        const { points, row, col } = this.hint;
+        const pulse = 0.5 + Math.sin(performance.now() * 0.006) * 0.3;
+        
+        ctx.save();
+        ctx.setLineDash([10, 6]);
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        points.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+        ctx.strokeStyle = 'rgba(254, 202, 87, 0.8)';
+        ctx.lineWidth = 3;
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        ctx.beginPath();
+        ctx.arc(this.getColPosition(row, col), this.getRowPosition(row), this.geometry.bubbleRadius + 2, 0, Math.PI * 2);
+        ctx.strokeStyle = `rgba(254, 202, 87, ${pulse})`;
+        ctx.lineWidth = 4;
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // ---- Bot play ----
+
+    // Hands the game to a bot (see GreedyBot), or back to the player with null
+    setBot(bot) {
+        this.bot = bot;
+        this.botTimer = 0;
+        this.botAiming = false;
+    }
+
+    // What a bot sees when choosing a shot; hints are chosen from it too
+    getBotState() {
+        return {
+            board: this.board,
+            x: this.shooter.x,
+            y: this.shooter.y,
+            currentColor: this.shooter.currentColor,
+            nextColor: this.shooter.nextColor,
+            currentType: this.shooter.currentType,
+            nextType: this.shooter.nextType,
+            restitution: this.collisionSettings.wallBounceRestitution
+        };
+    }
+
+    // The bot's part of a simulation step: once the board settles it aims, waits
+    // its delay so the aim can be seen, then fires. Level summaries and finished
+    // games are moved on after BOT_PAUSE.
+    updateBot(dt) {
+        if (!this.gameStarted || !this.shooter) return;
+        this.botTimer += dt;
+        
+        if (this.gameOver || this.gameWon || this.levelSummary) {
+            if (this.botTimer >= BOT_PAUSE) {
+                this.botTimer = 0;
+                this.botAiming = false;
+                if (this.levelSummary) {
+                    this.continueLevel();
+                } else {
+                    this.restartGame();
+                }
+            }
+            return;
+        }
+        
+        // Plan on the board the shot will meet, so wait for bubbles in flight to land
+        if (this.flyingBubbles.length > 0) {
+            this.botTimer = 0;
+            return;
+        }
+        if (this.botTimer < this.bot.delay) return;
+        
+        if (!this.botAiming) {
+            const angle = this.bot.chooseShot(this.getBotState());
+            this.shooter.aimAt(this.shooter.x + Math.cos(angle) * 100, this.shooter.y + Math.sin(angle) * 100);
+            this.botAiming = true;
+            this.botTimer = 0;
+            return;
+        }
+        
+        // The reload check can still hold the shot back for a step or two
+        if (this.fireShot()) {
+            this.botAiming = false;
+            this.botTimer = 0;
+        }
+    }
+
+    // ---- Replay playback ----
+
+    // Recording of the current game, ready for JSON.stringify
+    getRecording() {
+        if (this.replay) return this.replay.log.toJSON();
+        if (!this.recording) return null;
+        this.recording.endTick = Math.max(this.recording.endTick, this.tick);
+        return this.recording.toJSON();
+    }
+
+    // Plays a ReplayLog (or its JSON) from the start; player input is ignored until stopReplay()
+    startReplay(log) {
+        const replayLog = log instanceof ReplayLog ? log : ReplayLog.parse(log);
+        
+        this.replay = { log: replayLog, shotIndex: 0, undoIndex: 0, hintIndex: 0, swapIndex: 0, paused: false, speed: 1 };
+        this.gameMode = replayLog.mode;
+        this.difficulty = replayLog.difficulty;
+        this.levelDefinition = replayLog.level ? LevelDefinition.parse(replayLog.level) : null;
+        this.fixedSize = { width: replayLog.width, height: replayLog.height };
+        this.setGeometry(replayLog.geometry);
+        this.resizeCanvas();
+        this.gameStarted = true;
+        this.seekReplay(0);
+        this.debugLogger.log('replay', 'Replay started', { seed: replayLog.seed, shots: replayLog.shots.length });
+    }
+
+    // Fires every shot, undo, hint and swap due by the current tick, in the order they were recorded
+    fireReplayShots() {
+        const { shots, undos, hints, swaps } = this.replay.log;
+        
+        while (true) {
+            const undo = undos[this.replay.undoIndex];
+            const hint = hints[this.replay.hintIndex];
+            const swap = swaps[this.replay.swapIndex];
+            const shot = shots[this.replay.shotIndex];
+            
+            if (undo && undo[0] <= this.tick && undo[1] <= this.replay.shotIndex) {
+                this.rewindShot();
+                this.replay.undoIndex++;
+            } else if (hint && hint[0] <= this.tick && hint[1] <= this.replay.shotIndex) {
+                this.takeHint(false);
+                this.replay.hintIndex++;
+            } else if (swap && swap[0] <= this.tick && swap[1] <= this.replay.shotIndex) {
+                this.moveShots(swap[2]);
+                this.replay.swapIndex++;
+            } else if (shot && shot[0] <= this.tick) {
+                this.shooter.angle = shot[1];
+                this.fireShot(true);
+                this.replay.shotIndex++;
+            } else {
+                break;
+            }
+        }
+    }
+
+    // Jumps to a tick by re-simulating from the seed without drawing. The
+    // simulation is deterministic, so this is exact for scrubbing backwards too.
+    seekReplay(tick) {
+        if (!this.replay) return;
+        
+        const log = this.replay.log;
+        const target = Math.max(0, Math.min(tick, log.endTick));
+        
+        this.replay.shotIndex = 0;
+        this.replay.undoIndex = 0;
+        this.replay.hintIndex = 0;
+        this.replay.swapIndex = 0;
+        this.seeking = true;
+        this.initGame(log.seed);
+        while (this.tick < target) {
+            const tick = this.tick;
+            this.update(SIMULATION_STEP);
+            if (this.tick === tick) break; // The game is over and nothing undoes it
+        }
+        if (this.tick >= log.endTick) {
+            this.fireReplayShots(); // Inputs on the last tick, which no step follows
+        }
+        this.seeking = false;
+        this.accumulator = 0;
+    }
+
+    toggleReplayPause() {
+        if (this.replay) {
+            this.replay.paused = !this.replay.paused;
+        }
+    }
+
+    setReplaySpeed(speed) {
+        if (this.replay) {
+            this.replay.speed = speed;
+        }
+    }
+
+    // Leaves playback at the current tick and hands the board back to the player,
+    // who carries on with the same recording
+    stopReplay() {
+        if (!this.replay) return;
+        
+        const log = this.replay.log;
+        log.shots.length = this.replay.shotIndex;
+        log.undos.length = this.replay.undoIndex;
+        log.hints.length = this.replay.hintIndex;
+        log.swaps.length = this.replay.swapIndex;
+        log.endTick = this.tick;
+        this.recording = log;
+        this.replay = null;
+        this.gameStartTime = Date.now();
+    }
+
+    // ---- Save and resume ----
+
+    // State of the game in progress as a versioned, JSON-ready snapshot.
+    // Bubbles still flying or falling are not included.
+    createSnapshot() {
+        return {
+            version: SAVE_FORMAT_VERSION,
+            savedAt: new Date().toISOString(),
+            mode: this.gameMode,
+            difficulty: this.difficulty,
+            level: this.level,
+            levelStartScore: this.levelStartScore,
+            levelShots: this.levelShots,
+            seed: this.seed,
+            seedLocked: this.seedLocked,
+            width: this.canvas.width,
+            height: this.canvas.height,
+            geometry: this.geometry.toJSON(),
+            levelDefinition: this.levelDefinition && this.levelDefinition.toJSON(),
+            undosUsed: this.undosUsed,
+            hintsUsed: this.hintsUsed,
+            swapsUsed: this.swapsUsed,
+            ...this.captureState()
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.gameMode = snapshot.mode;
+        this.difficulty = snapshot.difficulty;
+        this.seedLocked = snapshot.seedLocked;
+        this.fixedSize = { width: snapshot.width, height: snapshot.height }; // Column count depends on the width
+        this.levelDefinition = snapshot.levelDefinition ? LevelDefinition.parse(snapshot.levelDefinition) : null;
+        this.setGeometry(snapshot.geometry);
+        this.resizeCanvas();
+        this.initGame(snapshot.seed);
+        
+        // The level comes first: applyState builds the shooter pool from its colors
+        this.level = snapshot.level;
+        this.levelStartScore = snapshot.levelStartScore !== undefined ? snapshot.levelStartScore : snapshot.score; // Saved before level scores
+        this.levelShots = snapshot.levelShots || 0;
+        this.applyState(snapshot);
+        this.board.missLimit = this.getMissLimit();
+        this.undosUsed = snapshot.undosUsed || 0;
+        this.hintsUsed = snapshot.hintsUsed || 0;
+        this.swapsUsed = snapshot.swapsUsed || 0;
+        this.recording = null; // The shots before the save are not known
+        this.progressSaved = true;
+        this.debugLogger.log('save', 'Saved game restored', { savedAt: snapshot.savedAt, score: this.score });
+    }
+
+    // Board, score and shooter state - everything a shot can change
+    captureState() {
+        return {
+            randomState: this.random.state,
+            score: this.score,
+            scoreBreakdown: { ...this.board.scoreBreakdown },
+            missedShots: this.missedShots,
+            combo: this.board.combo,
+            pendingNewRow: this.pendingNewRow,
+            shotsLeft: Number.isFinite(this.shotsLeft) ? this.shotsLeft : null, // JSON has no Infinity
+            timeLeft: Number.isFinite(this.timeLeft) ? this.timeLeft : null,
+            shooter: {
+                currentColor: this.shooter.currentColor,
+                nextColor: this.shooter.nextColor,
+                currentType: this.shooter.currentType,
+                nextType: this.shooter.nextType,
+                upcoming: this.shooter.upcoming.map(shot => ({ ...shot })),
+                held: this.shooter.held && { ...this.shooter.held },
+                holdUsed: this.shooter.holdUsed,
+                sequenceIndex: this.shooter.sequenceIndex
+            },
+            poppedByColor: { ...this.poppedByColor },
+            hintsUsed: this.hintsUsed, // Not restored - hints stay spent - but an undo keeps their cost
+            grid: this.board.serializeGrid()
+        };
+    }
+
+    applyState(state) {
+        this.board.loadGrid(state.grid);
+        this.random.state = state.randomState; // Continue the seeded color sequence where it stopped
+        this.score = state.score;
+        this.board.scoreBreakdown = { ...state.scoreBreakdown }; // Empty for saves before scoring rules
+        this.missedShots = state.missedShots;
+        this.board.combo = state.combo || 0; // Saved before combos
+        this.pendingNewRow = state.pendingNewRow;
+        this.shotsLeft = state.shotsLeft === null ? Infinity : state.shotsLeft;
+        this.timeLeft = state.timeLeft === null ? Infinity : state.timeLeft;
+        this.shooter.currentColor = state.shooter.currentColor;
+        this.shooter.nextColor = state.shooter.nextColor;
+        this.shooter.currentType = state.shooter.currentType || 'normal'; // Saved before special shots
+        this.shooter.nextType = state.shooter.nextType || 'normal';
+        this.shooter.sequenceIndex = state.shooter.sequenceIndex || 0;
+        this.shooter.upcoming = (state.shooter.upcoming || []).map(shot => ({ ...shot }));
+        this.shooter.held = state.shooter.held ? { ...state.shooter.held } : null;
+        this.shooter.holdUsed = !!state.shooter.holdUsed;
+        this.shooter.fillQueue(); // Saved before preview queues
+        // The saved shots were loaded from this board's pool; re-rolling them would
+        // draw from the seeded random and put the game out of step with its recording
+        this.shooterColorsStale = false;
+        this.shooter.colorPool = this.getShooterPool();
+        this.poppedByColor = { ...state.poppedByColor };
+    }
+
+    // Writes the snapshot to localStorage; a finished game removes it instead
+    saveProgress() {
+        if (this.replay || this.testPlay || this.bot || !this.shooter) return;
+        
+        if (this.gameOver || this.gameWon) {
+            this.discardSavedGame();
+            return;
+        }
+        
+        try {
+            localStorage.setItem(SAVED_GAME_KEY, JSON.stringify(this.createSnapshot()));
+            this.progressSaved = true;
+        } catch (error) {
+            console.warn('Could not save game:', error);
+        }
+    }
+
+    discardSavedGame() {
+        if (this.replay || !this.progressSaved) return;
+        localStorage.removeItem(SAVED_GAME_KEY);
+        this.progressSaved = false;
+    }
+
+    // The stored snapshot, or null if there is none or it cannot be used
+    static loadSavedGame() {
+        const saved = localStorage.getItem(SAVED_GAME_KEY);
+        if (!saved) return null;
+        
+        try {
+            const snapshot = JSON.parse(saved);
+            if (snapshot.version !== SAVE_FORMAT_VERSION) {
+                throw new Error(`Unsupported save version: ${snapshot.version}`);
+            }
+            const geometry = new BoardGeometry(snapshot.geometry || {}); // Saves without one used the defaults
+            if (!Array.isArray(snapshot.grid) || snapshot.grid.length !== geometry.rows ||
+                !snapshot.grid.every(row => Array.isArray(row) && row.length === geometry.cols)) {
+                throw new Error('Save has no valid grid');
+            }
+            if (!(snapshot.width > 0 && snapshot.height > 0) || !snapshot.shooter) {
+                throw new Error('Save is incomplete');
+            }
+            if (snapshot.levelDefinition) {
+                LevelDefinition.parse(snapshot.levelDefinition); // Throws if the level no longer loads
+            }
+            return snapshot;
+        } catch (error) {
+            console.warn('Ignoring saved game:', error.message);
+            return null;
+        }
+    }
+
+    // ---- Undo (strategy mode) ----
+
+    canUndo() {
+        return this.gameMode === "strategy" && !this.replay && !this.gameWon && !this.resultSaved &&
+            this.undoStack.length > 0 && this.undosUsed < UNDO_LIMIT;
+    }
+
+    // Takes back the last shot for UNDO_SCORE_COST points; also works after the
+    // final shot ran the shot budget out
+    undoLastShot() {
+        if (!this.canUndo()) return false;
+        
+        this.rewindShot();
+        this.withdrawHighScore(); // The game is not over after all
+        if (this.recording) {
+            this.recording.recordUndo(this.tick);
+        }
+        this.debugLogger.log('game', 'Shot undone', { undosUsed: this.undosUsed, score: this.score });
+        return true;
+    }
+
+    rewindShot() {
+        const state = this.undoStack.pop();
+        const hintCosts = (this.hintsUsed - state.hintsUsed) * HINT_SCORE_COST; // Hints taken since the shot
+        this.applyState(state);
+        this.hint = null;
+        this.board.addScore('undos', -Math.min(this.score, UNDO_SCORE_COST));
+        this.board.addScore('hints', -Math.min(this.score, hintCosts));
+        this.undosUsed++;
+        this.flyingBubbles = [];
+        this.removingBubbles = [];
+        this.fallingBubbles = [];
+        this.gameOver = false;
+        this.progressDirty = true;
+    }
+
     restartGame() {
-        this.initGame();
+        this.fixedSize = null; // A fresh game fits the current window again
+        this.resizeCanvas();
+        this.initGame(this.seedLocked ? this.seed : SeededRandom.randomSeed());
         this.gameStarted = true; // Ensure game is marked as started
         this.gameStartTime = Date.now(); // Reset the start time for shooting delay
         console.log('Game restarted at:', this.gameStartTime);
@@ -1061,32 +2091,25 @@ class Game {
         const viewportHeight = window.innerHeight;
         
         // Set canvas for portrait mobile (9:16 aspect ratio)
-        const maxWidth = Math.min(viewportWidth - 20, 400); // Max 400px width with 20px margin
+        const maxWidth = Math.min(viewportWidth - 20, this.geometry.maxWidth); // 20px margin
         const portraitHeight = Math.min(viewportHeight - 100, maxWidth * 1.6); // 16:10 ratio for better gameplay
         
-        this.canvas.width = maxWidth;
-        this.canvas.height = portraitHeight;
+        // A replay must run on the board size it was recorded on
+        this.canvas.width = this.fixedSize ? this.fixedSize.width : maxWidth;
+        this.canvas.height = this.fixedSize ? this.fixedSize.height : portraitHeight;
         
         console.log('Canvas resized to:', { width: this.canvas.width, height: this.canvas.height });
+        this.board.width = this.canvas.width;
         
         // Adjust bubble positioning based on canvas size
-        const scaleFactor = this.canvas.width / (GRID_COLS * GRID_COL_SPACING + BUBBLE_RADIUS * 2);
+        const scaleFactor = this.canvas.width / this.geometry.naturalWidth;
         
         // Set finish line position (above the shooter area)
         this.finishLineY = this.canvas.height - 80;
         console.log('Finish line Y set to:', this.finishLineY);
         
-        // Calculate score bucket dimensions and positions
-        const bucketHeight = 40;
-        const bucketWidth = this.canvas.width / 3;
-        
-        for (let i = 0; i < this.scoreBuckets.length; i++) {
-            this.scoreBuckets[i].x = i * bucketWidth;
-            this.scoreBuckets[i].width = bucketWidth;
-            this.scoreBuckets[i].y = this.canvas.height - bucketHeight;
-            this.scoreBuckets[i].height = bucketHeight;
-        }
-        
+        this.layoutScoreBuckets();
+
         // Create or reposition the shooter (above the buckets)
         if (this.shooter) {
             console.log('Repositioning existing shooter');
@@ -1094,27 +2117,79 @@ class Game {
             this.shooter.y = this.finishLineY - 20;
         } else {
             console.log('Creating new shooter at:', { x: this.canvas.width / 2, y: this.finishLineY - 20 });
-            this.shooter = new Shooter(this.canvas.width / 2, this.finishLineY - 20);
+            this.shooter = new Shooter(this.canvas.width / 2, this.finishLineY - 20, this.random, this.geometry.bubbleRadius);
         }
         
         console.log('=== RESIZE CANVAS END ===');
     }
 
-    update() {
+    // Buckets split the bottom of the canvas into equal widths
+    layoutScoreBuckets() {
+        const bucketHeight = 40;
+        const bucketWidth = this.canvas.width / this.scoreBuckets.length;
+        
+        for (let i = 0; i < this.scoreBuckets.length; i++) {
+            this.scoreBuckets[i].x = i * bucketWidth;
+            this.scoreBuckets[i].width = bucketWidth;
+            this.scoreBuckets[i].y = this.canvas.height - bucketHeight;
+            this.scoreBuckets[i].height = bucketHeight;
+        }
+    }
+
+    // One fixed simulation step of dt seconds (see gameLoop)
+    update(dt = SIMULATION_STEP) {
         // CRITICAL: Don't process anything during initialization
         if (this.initializing) {
             return;
         }
         
-        if (this.gameOver || this.gameWon) return;
+        // The shot that ran a strategy game out can be undone from the Game Over screen,
+        // where the clock has stopped; a replay fires that undo here
+        if (this.replay && this.gameOver) {
+            this.fireReplayShots();
+        }
+        
+        if (this.gameOver || this.gameWon) {
+            this.discardSavedGame(); // A finished game cannot be continued
+            if (this.bot && !this.replay) {
+                this.updateBot(dt); // Bots start the next game themselves
+            }
+            return;
+        }
+        
+        // The game waits on the level-complete screen; replays go straight on
+        if (this.levelSummary) {
+            if (!this.replay) {
+                if (this.bot) {
+                    this.updateBot(dt);
+                }
+                return;
+            }
+            this.levelSummary = null;
+        }
         
         this.frameStartTime = performance.now();
         this.collisionChecksThisFrame = 0;
-        this.gridSnapsThisFrame = 0;
+        this.board.gridSnapsThisFrame = 0;
+        
+        // Recorded shots fire at the start of the step they were taken before, like
+        // a click between steps; so do a bot's
+        if (this.replay) {
+            this.fireReplayShots();
+        } else if (this.bot) {
+            this.updateBot(dt);
+        } else if (this.hintIdleTime > 0 && this.gameStarted) {
+            this.idleTime += dt;
+            if (this.idleTime >= this.hintIdleTime) {
+                this.idleTime = 0;
+                this.requestHint(true);
+            }
+        }
+        this.tick++;
         
-        // Debug: Log flying bubbles count each frame
+        // Debug: Log flying bubbles each frame
         if (this.flyingBubbles.length > 0) {
-            console.log('Flying bubbles in update:', this.flyingBubbles.length, this.flyingBubbles.map(b => ({
+            this.debugLogger.log('movement', 'Flying bubbles in update', this.flyingBubbles.map(b => ({
                 x: b.x, y: b.y, vx: b.vx, vy: b.vy, stuck: b.stuck
             })));
         }
@@ -1125,61 +2200,24 @@ class Game {
             
             // Update arcade mode timer
             if (this.gameMode === "arcade") {
-                this.timeLeft -= 1/60; // Assuming 60 FPS
+                this.timeLeft -= dt; // Real seconds - the loop runs fixed steps in real time
                 if (this.timeLeft <= 0) {
                     this.gameOver = true;
+                    this.saveHighScore(this.score);
                     this.debugLogger.log('game', 'Game over - time expired');
+                    this.emit(GAME_EVENTS.GAME_OVER, { score: this.score, reason: 'time', breakdown: this.getScoreBreakdown() });
                     return;
                 }
             }
         }
         
-        // Enhanced flying bubble update with improved collision detection
+        // Flying bubbles move by swept collision: each step solves for the exact first
+        // contact with a wall, the ceiling or a grid bubble along its path
+        const bounds = { width: this.canvas.width, restitution: this.collisionSettings.wallBounceRestitution };
         for (let i = this.flyingBubbles.length - 1; i >= 0; i--) {
             const bubble = this.flyingBubbles[i];
-            const oldX = bubble.x;
-            const oldY = bubble.y;
-            
-            bubble.update();
-            this.debugLogger.log('movement', `Flying bubble ${i}`, {
-                position: { x: bubble.x, y: bubble.y },
-                velocity: { vx: bubble.vx, vy: bubble.vy }
-            });
-
-            // Enhanced wall collision with improved physics
-            let wallBounced = false;
-            if (bubble.x - bubble.radius <= 0) {
-                bubble.vx = Math.abs(bubble.vx) * this.collisionSettings.wallBounceRestitution;
-                bubble.x = bubble.radius;
-                wallBounced = true;
-                this.debugLogger.log('collision', 'Wall bounce - left wall', { 
-                    position: { x: bubble.x, y: bubble.y },
-                    newVelocity: { vx: bubble.vx, vy: bubble.vy }
-                });
-            } else if (bubble.x + bubble.radius >= this.canvas.width) {
-                bubble.vx = -Math.abs(bubble.vx) * this.collisionSettings.wallBounceRestitution;
-                bubble.x = this.canvas.width - bubble.radius;
-                wallBounced = true;
-                this.debugLogger.log('collision', 'Wall bounce - right wall', { 
-                    position: { x: bubble.x, y: bubble.y },
-                    newVelocity: { vx: bubble.vx, vy: bubble.vy }
-                });
-            }
+            bubble.update(dt); // Keeps the previous position for interpolated drawing
             
-            if (wallBounced) {
-                this.playSound('bounce');
-            }
-
-            // Check collision with top wall
-            if (bubble.y - bubble.radius <= 0) {
-                this.debugLogger.log('collision', 'Top wall collision - snapping to grid', {
-                    position: { x: bubble.x, y: bubble.y }
-                });
-                this.snapBubbleToGrid(bubble);
-                this.flyingBubbles.splice(i, 1);
-                continue;
-            }
-
             // Enhanced collision prediction for better gameplay feel
             if (this.showCollisionPrediction) {
                 const predictions = this.collisionPredictor.predictCollision(
@@ -1194,83 +2232,34 @@ class Game {
                 }
             }
 
-            // Optimized collision detection with spatial partitioning
-            let collided = false;
             this.collisionChecksThisFrame++;
+            const contact = this.collisionPredictor.sweep(bubble, dt, this.gridBubbles, bounds);
+            this.debugLogger.log('movement', `Flying bubble ${i}`, {
+                position: { x: bubble.x, y: bubble.y },
+                velocity: { vx: bubble.vx, vy: bubble.vy }
+            });
             
-            // Calculate grid region for more efficient collision checking
-            const approximateRow = Math.round((bubble.y - GRID_TOP_MARGIN) / GRID_ROW_HEIGHT);
-            const approximateCol = Math.round((bubble.x - BUBBLE_RADIUS) / GRID_COL_SPACING);
-            
-            // Expand search area based on bubble velocity for fast-moving bubbles
-            const velocityMagnitude = Math.sqrt(bubble.vx * bubble.vx + bubble.vy * bubble.vy);
-            const searchRadius = Math.max(1, Math.ceil(velocityMagnitude / BUBBLE_RADIUS));
-            
-            const rowsToCheck = [];
-            for (let r = Math.max(0, approximateRow - searchRadius); 
-                 r <= Math.min(GRID_ROWS - 1, approximateRow + searchRadius); r++) {
-                rowsToCheck.push(r);
-            }
-            
-            for (const row of rowsToCheck) {
-                if (row < 0 || row >= GRID_ROWS) continue;
-                
-                // Enhanced column range for hexagonal offset
-                const colStart = Math.max(0, approximateCol - searchRadius - 1);
-                const colEnd = Math.min(GRID_COLS - 1, approximateCol + searchRadius + 1);
-                
-                for (let col = colStart; col <= colEnd; col++) {
-                    const gridBubble = this.gridBubbles[row][col];
-                    if (gridBubble && bubble.isCollidingWith(gridBubble)) {
-                        this.debugLogger.log('collision', 'Grid bubble collision detected', {
-                            flyingBubble: { x: bubble.x, y: bubble.y, color: bubble.color },
-                            gridBubble: { x: gridBubble.x, y: gridBubble.y, color: gridBubble.color, row, col },
-                            distance: Math.sqrt((bubble.x - gridBubble.x) ** 2 + (bubble.y - gridBubble.y) ** 2)
-                        });
-                        
-                        // Enhanced collision response with smoother physics
-                        bubble.handleCollisionWith(gridBubble, 0.2);
-                        
-                        this.snapBubbleToGrid(bubble);
-                        this.flyingBubbles.splice(i, 1);
-                        collided = true;
-                        break;
-                    }
-                }
-                if (collided) break;
+            if (contact.wallBounces > 0) {
+                bubble.wallBounced = true;
+                this.debugLogger.log('collision', 'Wall bounce', { 
+                    position: { x: bubble.x, y: bubble.y },
+                    newVelocity: { vx: bubble.vx, vy: bubble.vy }
+                });
+                this.playSound('bounce');
             }
             
-            // Enhanced proximity-based snapping with better prediction
-            if (!collided) {
-                const snapDistance = this.collisionSettings.snapDistance;
+            if (contact.hit) {
+                this.debugLogger.log('collision', contact.hit === 'ceiling'
+                    ? 'Top wall collision - snapping to grid'
+                    : 'Grid bubble collision detected', {
+                    position: { x: bubble.x, y: bubble.y },
+                    gridBubble: contact.target && { row: contact.row, col: contact.col, color: contact.target.color },
+                    timeOfImpact: contact.time
+                });
                 
-                // Check for nearby bubbles for smoother snapping experience
-                for (let row = 0; row < GRID_ROWS && !collided; row++) {
-                    for (let col = 0; col < GRID_COLS; col++) {
-                        const gridBubble = this.gridBubbles[row][col];
-                        if (gridBubble) {
-                            const dx = bubble.x - gridBubble.x;
-                            const dy = bubble.y - gridBubble.y;
-                            const distance = Math.sqrt(dx * dx + dy * dy);
-                            
-                            // Enhanced proximity check with velocity consideration
-                            const velocityAdjustedSnapDistance = snapDistance + (velocityMagnitude * 0.1);
-                            
-                            if (distance < velocityAdjustedSnapDistance) {
-                                this.debugLogger.log('collision', 'Proximity snap triggered', {
-                                    distance,
-                                    snapDistance: velocityAdjustedSnapDistance,
-                                    velocity: velocityMagnitude
-                                });
-                                
-                                this.snapBubbleToGrid(bubble);
-                                this.flyingBubbles.splice(i, 1);
-                                collided = true;
-                                break;
-                            }
-                        }
-                    }
-                }
+                // The bubble sits at the contact point, so the nearest free cell is where it landed
+                this.snapBubbleToGrid(bubble);
+                this.flyingBubbles.splice(i, 1);
             }
         }
 
@@ -1285,13 +2274,12 @@ class Game {
         // Update falling bubbles with enhanced physics and bucket collision
         for (let i = this.fallingBubbles.length - 1; i >= 0; i--) {
             const bubble = this.fallingBubbles[i];
-            const oldY = bubble.y;
-            bubble.update();
+            bubble.update(dt);
             
             this.debugLogger.log('movement', `Falling bubble ${i}`, {
                 position: { x: bubble.x, y: bubble.y },
                 velocity: bubble.vy,
-                acceleration: 0.8
+                acceleration: FALL_GRAVITY
             });
 
             // Check for bucket collisions
@@ -1302,7 +2290,7 @@ class Game {
                     bubble.y + bubble.radius >= bucket.y) {
                     
                     // Award bucket points
-                    this.score += bucket.score;
+                    this.board.addScore('buckets', bucket.score);
                     bucketHit = true;
                     
                     this.debugLogger.log('score', 'Bucket hit!', {
@@ -1313,643 +2301,236 @@ class Game {
                     });
                     
                     this.playSound('bucket');
-                    break;
-                }
-            }
-
-            // Remove bubbles that hit buckets or fall off screen
-            if (bucketHit || bubble.y > this.canvas.height + bubble.radius) {
-                this.fallingBubbles.splice(i, 1);
-                this.debugLogger.log('cleanup', bucketHit ? 'Bubble hit bucket' : 'Falling bubble removed from screen');
-            }
-        }
-
-        // Update removing bubbles with smooth animation
-        for (let i = this.removingBubbles.length - 1; i >= 0; i--) {
-            const bubble = this.removingBubbles[i];
-            if (!bubble.animationTimer) bubble.animationTimer = 0;
-            bubble.animationTimer += 1;
-            
-            // Remove after animation completes (smoother feedback)
-            if (bubble.animationTimer > 20) {
-                this.removingBubbles.splice(i, 1);
-                this.debugLogger.log('cleanup', 'Removing bubble animation completed');
-            }
-        }
-
-        // Check win condition
-        let bubbleCount = 0;
-        for (let row = 0; row < GRID_ROWS; row++) {
-            for (let col = 0; col < GRID_COLS; col++) {
-                if (this.gridBubbles[row][col]) {
-                    bubbleCount++;
-                }
-            }
-        }
-        
-        if (bubbleCount === 0) {
-            this.gameWon = true;
-            this.score *= CLEAR_FIELD_BONUS_MULTIPLIER;
-            this.saveHighScore(this.score);
-            this.debugLogger.log('game', 'Game won - all bubbles cleared', { finalScore: this.score });
-        }
-        
-        // Check lose condition
-        for (let col = 0; col < GRID_COLS; col++) {
-            if (this.gridBubbles[GRID_ROWS - 1][col]) {
-                this.gameOver = true;
-                this.saveHighScore(this.score);
-                this.debugLogger.log('game', 'Game over - bubbles reached bottom');
-                break;
-            }
-        }
-        
-        // Update performance metrics
-        const frameTime = performance.now() - this.frameStartTime;
-        this.debugLogger.updateMetrics(frameTime, this.collisionChecksThisFrame, this.gridSnapsThisFrame);
-        this.debugLogger.nextFrame();
-    }
-
-    snapBubbleToGrid(bubble) {
-        this.gridSnapsThisFrame++;
-        this.debugLogger.log('snap', 'Attempting to snap bubble to grid', {
-            bubblePosition: { x: bubble.x, y: bubble.y },
-            bubbleColor: bubble.color
-        });
-        
-        // Enhanced hexagonal grid snapping with precise positioning
-        let bestRow = -1;
-        let bestCol = -1;
-        let minDistance = Infinity;
-        let candidatePositions = [];
-        
-        // Find the best grid position using hexagonal distance calculation
-        for (let row = 0; row < GRID_ROWS; row++) {
-            for (let col = 0; col < GRID_COLS; col++) {
-                if (!this.gridBubbles[row][col]) {
-                    const gridX = this.getColPosition(row, col);
-                    const gridY = this.getRowPosition(row);
-                    
-                    // Skip positions that would cause overlaps
-                    if (this.wouldOverlapPrecise(gridX, gridY, row, col)) {
-                        continue;
-                    }
-                    
-                    // Calculate precise distance to this grid position
-                    const dx = bubble.x - gridX;
-                    const dy = bubble.y - gridY;
-                    const distance = Math.sqrt(dx * dx + dy * dy);
-                    
-                    // Check if this position maintains connectivity to top
-                    const isTopRow = row === 0;
-                    const isConnected = isTopRow || this.isPositionConnectedToTop(row, col);
-                    
-                    // Store candidate position
-                    candidatePositions.push({
-                        row, col, gridX, gridY, distance, isConnected
-                    });
-                    
-                    // Prioritize connected positions with closer distance
-                    if (isConnected && distance < minDistance) {
-                        minDistance = distance;
-                        bestRow = row;
-                        bestCol = col;
-                    }
-                }
-            }
-        }
-        
-        this.debugLogger.log('snap', 'Grid position analysis', {
-            candidatesFound: candidatePositions.length,
-            connectedCandidates: candidatePositions.filter(c => c.isConnected).length,
-            bestPosition: bestRow >= 0 ? { row: bestRow, col: bestCol, distance: minDistance } : null
-        });
-        
-        // Enhanced fallback logic for edge cases
-        if (bestRow === -1) {
-            this.debugLogger.log('snap', 'No connected position found, using fallback');
-            bestRow = this.findBestFallbackPosition(bubble);
-            if (bestRow !== -1) {
-                // Find first available column in the fallback row
-                for (let col = 0; col < GRID_COLS; col++) {
-                    if (!this.gridBubbles[bestRow][col]) {
-                        const gridX = this.getColPosition(bestRow, col);
-                        const gridY = this.getRowPosition(bestRow);
-                        if (!this.wouldOverlapPrecise(gridX, gridY, bestRow, col)) {
-                            bestCol = col;
-                            break;
-                        }
-                    }
-                }
-            }
-        }
-        
-        // Snap bubble to the determined position
-        if (bestRow >= 0 && bestCol >= 0) {
-            // Perfect positioning using grid calculations
-            bubble.x = this.getColPosition(bestRow, bestCol);
-            bubble.y = this.getRowPosition(bestRow);
-            bubble.stuck = true;
-            bubble.row = bestRow;
-            bubble.col = bestCol;
-            bubble.vx = 0;
-            bubble.vy = 0;
-            bubble.snapPredicted = false; // Reset prediction flag
-            this.gridBubbles[bestRow][bestCol] = bubble;
-            
-            this.debugLogger.log('snap', 'Bubble successfully snapped to grid', {
-                finalPosition: { row: bestRow, col: bestCol, x: bubble.x, y: bubble.y },
-                color: bubble.color
-            });
-            
-            // Process matches and game logic
-            const matches = this.checkMatches(bestRow, bestCol);
-            this.debugLogger.log('match', 'Checking for matches', {
-                position: { row: bestRow, col: bestCol },
-                matchesFound: matches.length,
-                threshold: POP_THRESHOLD
-            });
-            
-            if (matches.length >= POP_THRESHOLD) {
-                this.debugLogger.log('match', 'Match threshold reached - popping bubbles', {
-                    bubblesPopped: matches.length,
-                    colors: matches.map(b => b.color)
-                });
-                this.playSound('pop');
-                this.popBubbles(matches);
-                this.missedShots = 0;
-            } else {
-                this.missedShots++;
-                this.debugLogger.log('game', 'Shot missed - incrementing miss counter', {
-                    missedShots: this.missedShots,
-                    limit: MISSED_SHOTS_LIMIT
-                });
-                
-                if (this.missedShots >= MISSED_SHOTS_LIMIT) {
-                    this.debugLogger.log('game', 'Miss limit reached - deferring new row addition');
-                    this.pendingNewRow = true;
-                    this.missedShots = 0;
-                }
-            }
-        } else {
-            this.debugLogger.log('snap', 'WARNING: Could not find valid grid position for bubble!', {
-                bubblePosition: { x: bubble.x, y: bubble.y },
-                candidatesChecked: candidatePositions.length
-            });
-        }
-    }
-
-    findBestFallbackPosition(bubble) {
-        // Find the best row for fallback placement (top rows preferred)
-        for (let row = 0; row < Math.min(GRID_ROWS, 3); row++) {
-            for (let col = 0; col < GRID_COLS; col++) {
-                if (!this.gridBubbles[row][col]) {
-                    const gridX = this.getColPosition(row, col);
-                    const gridY = this.getRowPosition(row);
-                    if (!this.wouldOverlapPrecise(gridX, gridY, row, col)) {
-                        return row;
-                    }
-                }
-            }
-        }
-        return -1;
-    }
-
-    wouldOverlapPrecise(x, y, targetRow, targetCol) {
-        // Enhanced overlap detection using precise hexagonal distances
-        const MIN_DISTANCE = BUBBLE_RADIUS * 2 * 0.98; // Slightly tighter for perfect placement
-        
-        // Check all nearby positions that could cause overlaps
-        const neighbors = this.getNeighborPositions(targetRow, targetCol);
-        
-        // Add the target position's immediate vicinity
-        const positionsToCheck = [
-            ...neighbors,
-            [targetRow, targetCol - 2], [targetRow, targetCol + 2], // Extended horizontal
-            [targetRow - 2, targetCol], [targetRow + 2, targetCol]   // Extended vertical
-        ];
-        
-        for (const [checkRow, checkCol] of positionsToCheck) {
-            if (checkRow >= 0 && checkRow < GRID_ROWS && 
-                checkCol >= 0 && checkCol < GRID_COLS && 
-                this.gridBubbles[checkRow][checkCol]) {
-                
-                const existingBubble = this.gridBubbles[checkRow][checkCol];
-                const dx = x - existingBubble.x;
-                const dy = y - existingBubble.y;
-                const distance = Math.sqrt(dx * dx + dy * dy);
-                
-                if (distance < MIN_DISTANCE) {
-                    return true;
-                }
-            }
-        }
-        
-        return false;
-    }
-
-    isPositionConnectedToTop(row, col) {
-        // Check if placing a bubble at this position would be connected to the top row
-        // through a chain of adjacent bubbles
-        
-        // Get neighbors of this position
-        const neighbors = this.getNeighborPositions(row, col);
-        
-        // Check if any neighbor exists and is connected to top
-        for (const [nRow, nCol] of neighbors) {
-            if (nRow >= 0 && nRow < GRID_ROWS && nCol >= 0 && nCol < GRID_COLS) {
-                const neighborBubble = this.gridBubbles[nRow][nCol];
-                if (neighborBubble) {
-                    // If neighbor is in top row, we're connected
-                    if (nRow === 0) {
-                        return true;
-                    }
-                    // Otherwise, check if this neighbor is connected to top
-                    if (this.isBubbleConnectedToTop(nRow, nCol)) {
-                        return true;
-                    }
-                }
-            }
-        }
-        
-        return false;
-    }
-
-    isBubbleConnectedToTop(row, col) {
-        // Use breadth-first search to check if a bubble is connected to the top row
-        if (row === 0) return true; // Already in top row
-        
-        const visited = new Set();
-        const queue = [[row, col]];
-        visited.add(`${row},${col}`);
-        
-        while (queue.length > 0) {
-            const [currentRow, currentCol] = queue.shift();
-            
-            // If we reached the top row, we're connected
-            if (currentRow === 0) {
-                return true;
-            }
-            
-            // Check all neighbors
-            const neighbors = this.getNeighborPositions(currentRow, currentCol);
-            for (const [nRow, nCol] of neighbors) {
-                const key = `${nRow},${nCol}`;
-                if (nRow >= 0 && nRow < GRID_ROWS && nCol >= 0 && nCol < GRID_COLS && 
-                    !visited.has(key) && this.gridBubbles[nRow][nCol]) {
-                    visited.add(key);
-                    queue.push([nRow, nCol]);
-                }
-            }
-        }
-        
-        return false;
-    }
-
-    getNeighborPositions(row, col) {
-        // Perfect hexagonal neighbor calculation
-        // In a hexagonal grid, odd rows are offset to the right
-        const isOddRow = row % 2 === 1;
-        
-        // Calculate the 6 hexagonal neighbors with correct offset logic
-        return [
-            [row - 1, col + (isOddRow ? 0 : -1)], // Top left
-            [row - 1, col + (isOddRow ? 1 : 0)],  // Top right
-            [row, col - 1],                        // Direct left
-            [row, col + 1],                        // Direct right
-            [row + 1, col + (isOddRow ? 0 : -1)], // Bottom left
-            [row + 1, col + (isOddRow ? 1 : 0)]   // Bottom right
-        ];
-    }
-
-    wouldOverlap(x, y, targetRow, targetCol) {
-        // Check if placing a bubble at this position would overlap with existing bubbles
-        const testBubble = { x: x, y: y, radius: BUBBLE_RADIUS };
-        
-        // Check nearby positions for overlaps
-        for (let row = Math.max(0, targetRow - 1); row <= Math.min(GRID_ROWS - 1, targetRow + 1); row++) {
-            for (let col = Math.max(0, targetCol - 1); col <= Math.min(GRID_COLS - 1, targetCol + 1); col++) {
-                if (row === targetRow && col === targetCol) continue; // Skip the target position itself
-                
-                const existingBubble = this.gridBubbles[row][col];
-                if (existingBubble) {
-                    const dx = x - existingBubble.x;
-                    const dy = y - existingBubble.y;
-                    const distance = Math.sqrt(dx * dx + dy * dy);
-                    
-                    // Check if bubbles would overlap (with a small tolerance)
-                    if (distance < (BUBBLE_RADIUS * 2) * 0.95) {
-                        return true;
-                    }
-                }
-            }
-        }
-        
-        return false;
-    }
-
-    hasAdjacentBubble(row, col) {
-        // Check if there are any bubbles adjacent to this position
-        const neighbors = this.getNeighborPositions(row, col);
-        
-        for (const [nr, nc] of neighbors) {
-            if (nr >= 0 && nr < GRID_ROWS && nc >= 0 && nc < GRID_COLS) {
-                if (this.gridBubbles[nr][nc]) {
-                    return true;
+                    this.emit(GAME_EVENTS.BUCKET_HIT, { label: bucket.label, points: bucket.score, color: bubble.color });
+                    break;
                 }
             }
-        }
-        
-        return false;
-    }
 
-    checkMatches(row, col) {
-        const bubble = this.gridBubbles[row][col];
-        if (!bubble) return [];
-        
-        // Reset visited flag for all bubbles
-        for (let r = 0; r < GRID_ROWS; r++) {
-            for (let c = 0; c < GRID_COLS; c++) {
-                if (this.gridBubbles[r][c]) {
-                    this.gridBubbles[r][c].visited = false;
-                }
+            // Remove bubbles that hit buckets or fall off screen
+            if (bucketHit || bubble.y > this.canvas.height + bubble.radius) {
+                this.fallingBubbles.splice(i, 1);
+                this.debugLogger.log('cleanup', bucketHit ? 'Bubble hit bucket' : 'Falling bubble removed from screen');
             }
         }
-        
-        // Use flood fill to find all connected bubbles of same color
-        const matches = [];
-        const color = bubble.color;
-        
-        const floodFill = (r, c) => {
-            // Check bounds
-            if (r < 0 || r >= GRID_ROWS || c < 0 || c >= GRID_COLS) return;
-            
-            // Get bubble at this position
-            const currentBubble = this.gridBubbles[r][c];
-            
-            // Check if bubble exists, is same color, and not visited
-            if (!currentBubble || currentBubble.color !== color || currentBubble.visited) return;
-            
-            // Mark as visited
-            currentBubble.visited = true;
-            matches.push(currentBubble);
-            
-            // Get neighboring positions using helper method
-            const neighbors = this.getNeighborPositions(r, c);
-            
-            // Visit all neighbors
-            for (const [nr, nc] of neighbors) {
-                floodFill(nr, nc);
-            }
-        };
-        
-        floodFill(row, col);
-        return matches;
-    }
 
-    popBubbles(bubbles) {
-        this.debugLogger.log('pop', 'Popping bubble group', {
-            count: bubbles.length,
-            colors: [...new Set(bubbles.map(b => b.color))], // Unique colors
-            positions: bubbles.map(b => ({ row: b.row, col: b.col }))
-        });
-        
-        // Remove bubbles from grid
-        for (const bubble of bubbles) {
-            this.gridBubbles[bubble.row][bubble.col] = null;
-            bubble.removing = true;
-            this.removingBubbles.push(bubble);
-            this.bubblesCleared++;
-        }
-        
-        // Add points
-        const pointsEarned = bubbles.length * POINTS_PER_BUBBLE;
-        this.score += pointsEarned;
-        this.debugLogger.log('score', 'Points earned from popping', {
-            bubblesPopped: bubbles.length,
-            pointsEarned,
-            newScore: this.score
+        // Age the score popups
+        this.scorePopups.forEach(popup => {
+            popup.age += dt;
         });
-        
-        // Check for floating bubbles (avalanche effect)
-        const floatingBubbles = this.findFloatingBubbles();
-        if (floatingBubbles.length > 0) {
-            this.debugLogger.log('avalanche', 'Floating bubbles detected', {
-                count: floatingBubbles.length,
-                positions: floatingBubbles.map(b => ({ row: b.row, col: b.col, color: b.color }))
-            });
-            
-            this.playSound('avalanche');
-            const avalanchePoints = floatingBubbles.length * AVALANCHE_BONUS;
-            this.score += avalanchePoints;
-            
-            this.debugLogger.log('score', 'Avalanche bonus points', {
-                bubblesDropped: floatingBubbles.length,
-                bonusPoints: avalanchePoints,
-                newScore: this.score
-            });
+        this.scorePopups = this.scorePopups.filter(popup => popup.age < SCORE_POPUP_TIME);
+
+        // Update removing bubbles with smooth animation
+        for (let i = this.removingBubbles.length - 1; i >= 0; i--) {
+            const bubble = this.removingBubbles[i];
+            if (!bubble.animationTimer) bubble.animationTimer = 0;
+            bubble.animationTimer += 1;
             
-            for (const bubble of floatingBubbles) {
-                this.gridBubbles[bubble.row][bubble.col] = null;
-                bubble.falling = true;
-                bubble.vy = 1; // Initial falling speed
-                this.fallingBubbles.push(bubble);
-                this.bubblesCleared++;
+            // Remove after animation completes (smoother feedback)
+            if (bubble.animationTimer > 20) {
+                this.removingBubbles.splice(i, 1);
+                this.debugLogger.log('cleanup', 'Removing bubble animation completed');
             }
         }
-    }
 
-    findFloatingBubbles() {
-        // Mark all bubbles as not visited
-        for (let row = 0; row < GRID_ROWS; row++) {
-            for (let col = 0; col < GRID_COLS; col++) {
-                if (this.gridBubbles[row][col]) {
-                    this.gridBubbles[row][col].visited = false;
-                }
-            }
+        // Check level complete (completing the last level wins the game)
+        if (this.isLevelComplete()) {
+            this.completeLevel();
         }
         
-        // Mark all bubbles connected to top row as 'visited'
-        for (let col = 0; col < GRID_COLS; col++) {
-            if (this.gridBubbles[0][col]) {
-                this.markConnectedBubbles(0, col);
-            }
+        // The shooter follows the board once it has settled for this step
+        if (this.shooterColorsStale && this.shooter) {
+            this.shooterColorsStale = false;
+            this.refreshShooterColors();
         }
         
-        // Collect all unvisited (floating) bubbles
-        const floatingBubbles = [];
-        for (let row = 0; row < GRID_ROWS; row++) {
-            for (let col = 0; col < GRID_COLS; col++) {
-                const bubble = this.gridBubbles[row][col];
-                if (bubble && !bubble.visited) {
-                    floatingBubbles.push(bubble);
-                }
-            }
+        // Check lose condition (a new row added this step may already have ended the game)
+        if (!this.gameOver && !this.gameWon && this.board.hasReachedBottom()) {
+            this.gameOver = true;
+            this.saveHighScore(this.score);
+            this.debugLogger.log('game', 'Game over - bubbles reached bottom');
+            this.emit(GAME_EVENTS.GAME_OVER, { score: this.score, reason: 'bottom', breakdown: this.getScoreBreakdown() });
         }
         
-        return floatingBubbles;
+        // Save after every step that changed the grid so the game can be continued later
+        if (this.progressDirty) {
+            this.progressDirty = false;
+            this.saveProgress();
+        }
+        
+        // Update performance metrics
+        const frameTime = performance.now() - this.frameStartTime;
+        this.debugLogger.updateMetrics(frameTime, this.collisionChecksThisFrame, this.board.gridSnapsThisFrame);
+        this.debugLogger.nextFrame();
     }
 
-    markConnectedBubbles(row, col) {
-        // Check bounds
-        if (row < 0 || row >= GRID_ROWS || col < 0 || col >= GRID_COLS) return;
-        
-        // Get bubble at this position
-        const bubble = this.gridBubbles[row][col];
-        
-        // Check if bubble exists and is not visited
-        if (!bubble || bubble.visited) return;
-        
-        // Mark as visited
-        bubble.visited = true;
-        
-        // Get neighboring positions using helper method
-        const neighbors = this.getNeighborPositions(row, col);
-        
-        // Visit all neighbors
-        for (const [nr, nc] of neighbors) {
-            this.markConnectedBubbles(nr, nc);
-        }
+
+    // Where a shot at the shooter's current angle will go (see CollisionPredictor.traceShot),
+    // cut off at the difficulty's previewLength
+    predictShot() {
+        const settings = this.difficultySettings[this.difficulty];
+        return this.collisionPredictor.traceShot(this.board, this.shooter.x, this.shooter.y, this.shooter.angle, {
+            restitution: this.collisionSettings.wallBounceRestitution,
+            maxLength: settings.previewLength
+        });
     }
 
-    addNewRow() {
-        this.debugLogger.log('game', 'Adding new row - starting shift operation');
-        
-        // Shift all existing rows down and update their positions
-        for (let row = GRID_ROWS - 1; row > 0; row--) {
-            for (let col = 0; col < GRID_COLS; col++) {
-                this.gridBubbles[row][col] = this.gridBubbles[row - 1][col];
-                if (this.gridBubbles[row][col]) {
-                    // Update both grid coordinates and actual position
-                    this.gridBubbles[row][col].row = row;
-                    this.gridBubbles[row][col].col = col;
-                    
-                    // Recalculate precise position using grid positioning methods
-                    this.gridBubbles[row][col].x = this.getColPosition(row, col);
-                    this.gridBubbles[row][col].y = this.getRowPosition(row);
-                    
-                    this.debugLogger.log('shift', `Moved bubble from row ${row-1} to row ${row}`, {
-                        col: col,
-                        newPosition: { x: this.gridBubbles[row][col].x, y: this.gridBubbles[row][col].y }
-                    });
-                }
-            }
+    snapBubbleToGrid(bubble) {
+        const previousMisses = this.missedShots;
+        const result = this.board.snapBubbleToGrid(bubble);
+        if (result) {
+            this.progressDirty = true;
+            this.shooterColorsStale = true;
+            this.emit(GAME_EVENTS.BUBBLE_SNAPPED, { row: result.row, col: result.col, color: bubble.color });
+        }
+        // Not a before/after comparison: a miss that reaches the limit resets the counter
+        if (result && result.missesChanged) {
+            this.emit(GAME_EVENTS.MISSES_CHANGED, {
+                missedShots: this.missedShots,
+                previous: previousMisses,
+                limit: this.board.missLimit,
+                newRow: this.pendingNewRow
+            });
         }
-        
-        // Clear the top row
-        for (let col = 0; col < GRID_COLS; col++) {
-            this.gridBubbles[0][col] = null;
+        if (result && result.special) {
+            this.emitSpecialShot(result);
         }
-        
-        // Add new row at the top with proper collision checking
-        const settings = this.difficultySettings[this.difficulty];
-        const colorSubset = BUBBLE_COLORS.slice(0, settings.colors);
-        
-        // Calculate maximum bubbles that can fit in the grid based on canvas width
-        const maxBubblesPerRow = Math.floor((this.canvas.width - BUBBLE_RADIUS * 2) / GRID_COL_SPACING);
-        const effectiveGridCols = Math.min(GRID_COLS, maxBubblesPerRow);
-        
-        for (let col = 0; col < effectiveGridCols; col++) {
-            if (Math.random() < 0.85) { // 85% chance to add a bubble
-                const x = this.getColPosition(0, col);
-                const y = this.getRowPosition(0);
-                
-                // Ensure we don't place bubbles too close to the edge
-                if (x < BUBBLE_RADIUS || x > this.canvas.width - BUBBLE_RADIUS) {
-                    continue;
-                }
-                
-                // Use enhanced overlap checking to prevent conflicts
-                if (this.wouldOverlapPrecise(x, y, 0, col)) {
-                    this.debugLogger.log('warning', 'Overlap detected when adding new row bubble', {
-                        position: { row: 0, col: col, x: x, y: y }
-                    });
-                    continue;
-                }
-                
-                // Create color clusters for more strategic gameplay
-                let color;
-                if (col > 0 && this.gridBubbles[0][col-1] && Math.random() < 0.4) {
-                    color = this.gridBubbles[0][col-1].color;
-                } else {
-                    color = colorSubset[Math.floor(Math.random() * colorSubset.length)];
-                }
-                
-                const bubble = new Bubble(x, y, color, 0, col);
-                // CRITICAL FIX: Set stuck=true IMMEDIATELY after creation
-                bubble.stuck = true;
-                bubble.vx = 0; // Ensure no velocity
-                bubble.vy = 0; // Ensure no velocity
-                this.gridBubbles[0][col] = bubble;
-                this.totalBubbles++;
-                
-                this.debugLogger.log('add', 'New bubble added to top row', {
-                    position: { row: 0, col: col, x: x, y: y },
-                    color: color
-                });
-            }
+        if (result && result.popped.length > 0) {
+            this.playSound('pop');
+            this.trackPoppedBubbles(result);
+        }
+        if (result && result.dud) {
+            this.removingBubbles.push(result.dud); // Fades out like a pop, but scores nothing
+        }
+        if (result && result.points + result.avalanchePoints > 0) {
+            this.addScorePopup(result);
         }
         
-        // Verify grid integrity after the operation
-        this.verifyGridIntegrity();
-        
-        // Check if game is over (bubbles reached bottom)
-        for (let col = 0; col < GRID_COLS; col++) {
-            if (this.gridBubbles[GRID_ROWS - 1][col]) {
-                this.gameOver = true;
-                this.saveHighScore(this.score);
-                this.debugLogger.log('game', 'Game over - bubbles reached bottom after new row added');
+        const reward = rewardFor(result);
+        if (reward) {
+            this.shooter.loadSpecial(reward);
+            this.debugLogger.log('game', 'Special shot earned', { type: reward, dropped: result.dropped.length });
+        }
+        return result;
+    }
+
+    // Counts leave out the special shot itself
+    emitSpecialShot(result) {
+        const count = result.dud ? 0 : result.popped.length - 1;
+        this.playSound(result.special);
+        switch (result.special) {
+            case 'bomb':
+                this.emit(GAME_EVENTS.BOMB_EXPLODED, {
+                    row: result.row,
+                    col: result.col,
+                    count,
+                    points: result.points
+                });
+                break;
+            case 'lightning':
+                this.emit(GAME_EVENTS.LIGHTNING_STRUCK, {
+                    row: result.row,
+                    count,
+                    points: result.points
+                });
+                break;
+            case 'paint':
+                this.emit(GAME_EVENTS.PAINT_SPLASHED, {
+                    row: result.row,
+                    col: result.col,
+                    color: result.color,
+                    count: result.painted.length
+                });
                 break;
-            }
         }
-        
-        this.playSound('newRow');
-        this.debugLogger.log('game', 'New row addition completed successfully');
     }
 
-    // Add a method to verify grid integrity (helps catch positioning issues)
-    verifyGridIntegrity() {
-        if (!this.debugLogger.enabled) return; // Only run in debug mode
-        
-        let issues = 0;
-        for (let row = 0; row < GRID_ROWS; row++) {
-            for (let col = 0; col < GRID_COLS; col++) {
-                const bubble = this.gridBubbles[row][col];
-                if (bubble) {
-                    const expectedX = this.getColPosition(row, col);
-                    const expectedY = this.getRowPosition(row);
-                    
-                    // Check if bubble position matches expected grid position
-                    const positionError = Math.sqrt(
-                        Math.pow(bubble.x - expectedX, 2) + 
-                        Math.pow(bubble.y - expectedY, 2)
-                    );
-                    
-                    if (positionError > 1) { // Allow 1 pixel tolerance
+    // Floats a shot's points over the cell it landed in, with a line per multiplier
+    addScorePopup(result) {
+        if (this.seeking) return;
+        
+        const { combo, bank, avalanche } = result.multipliers;
+        const lines = [`+${result.points + result.avalanchePoints}`];
+        if (combo > 1) lines.push(`×${combo} combo of ${result.combo}`);
+        if (bank > 1) lines.push(`×${bank} bank shot`);
+        if (avalanche > 1) lines.push(`×${avalanche} avalanche`);
+        this.scorePopups.push({
+            x: this.getColPosition(result.row, result.col),
+            y: this.getRowPosition(result.row),
+            lines,
+            age: 0
+        });
+    }
 
-                        this.debugLogger.log('warning', 'Grid integrity issue detected', {
-                            bubble: { row: bubble.row, col: bubble.col, x: bubble.x, y: bubble.y },
-                            expected: { row: row, col: col, x: expectedX, y: expectedY },
-                            error: positionError
-                        });
-                        
-                        // Auto-correct the position
-                        bubble.x = expectedX;
-                        bubble.y = expectedY;
-                        bubble.row = row;
-                        bubble.col = col;
-                        issues++;
-                    }
-                }
-            }
+    drawScorePopups() {
+        const { ctx } = this;
+        ctx.save();
+        ctx.textAlign = 'center';
+        this.scorePopups.forEach(popup => {
+            const y = popup.y - popup.age * SCORE_POPUP_RISE;
+            ctx.globalAlpha = Math.max(0, 1 - popup.age / SCORE_POPUP_TIME);
+            popup.lines.forEach((line, index) => {
+                ctx.font = index === 0 ? 'bold 18px Arial' : '12px Arial';
+                ctx.fillStyle = index === 0 ? 'white' : '#FECA57';
+                ctx.fillText(line, popup.x, y + index * 15);
+            });
+        });
+        ctx.restore();
+    }
+
+    popBubbles(bubbles) {
+        const result = this.board.popBubbles(bubbles);
+        this.trackPoppedBubbles(result);
+        return result;
+    }
+
+    // Hand popped and dropped bubbles from the board over to their animations
+    trackPoppedBubbles(result) {
+        this.removingBubbles.push(...result.popped);
+        if (result.cracked.length > 0) {
+            this.emit(GAME_EVENTS.ICE_CRACKED, {
+                count: result.cracked.length,
+                thawed: result.cracked.filter(ice => ice.type !== 'ice').length
+            });
+        }
+        // Wildcards count toward the color they matched as
+        result.popped.filter(bubble => bubble.type !== 'bomb' && bubble.type !== 'lightning').forEach(bubble => {
+            const color = bubble.type === 'rainbow' && result.color ? result.color : bubble.color;
+            this.poppedByColor[color] = (this.poppedByColor[color] || 0) + 1;
+        });
+        if (result.popped.length > 0 && result.special !== 'bomb' && result.special !== 'lightning') {
+            this.emit(GAME_EVENTS.CLUSTER_POPPED, {
+                count: result.popped.length,
+                color: result.color || result.popped[0].color,
+                points: result.points
+            });
+        }
+        if (result.dropped.length > 0) {
+            this.playSound('avalanche');
+            this.fallingBubbles.push(...result.dropped);
+            this.emit(GAME_EVENTS.AVALANCHE, { count: result.dropped.length, points: result.avalanchePoints });
         }
+    }
+
+    addNewRow() {
+        this.board.addNewRow(this.getLevelColors());
+        this.progressDirty = true;
+        this.shooterColorsStale = true;
+        this.emit(GAME_EVENTS.NEW_ROW_ADDED);
         
-        if (issues > 0) {
-            this.debugLogger.log('warning', `Fixed ${issues} grid integrity issues`);
+        // Check if game is over (bubbles reached bottom)
+        if (this.board.hasReachedBottom()) {
+            this.gameOver = true;
+            this.saveHighScore(this.score);
+            this.debugLogger.log('game', 'Game over - bubbles reached bottom after new row added');
+            this.emit(GAME_EVENTS.GAME_OVER, { score: this.score, reason: 'bottom', breakdown: this.getScoreBreakdown() });
         }
+        
+        this.playSound('newRow');
     }
 
-    draw() {
+    // alpha (0..1) is the fraction of a simulation step since the last update,
+    // used to interpolate moving bubbles
+    draw(alpha = 1) {
         // CRITICAL: Still draw during initialization, but don't process bubble movement
         
         // Clear canvas
@@ -1958,7 +2539,7 @@ class Game {
 
         // Draw grid background
         this.ctx.fillStyle = 'rgba(255, 255, 255, 0.05)';
-        this.ctx.fillRect(0, 0, this.canvas.width, GRID_ROW_HEIGHT * GRID_ROWS + GRID_TOP_MARGIN);
+        this.ctx.fillRect(0, 0, this.canvas.width, this.geometry.gridHeight);
         
         // Optional: Draw hexagonal grid visualization (press 'G' to toggle)
         if (this.showDebugGrid) {
@@ -1966,8 +2547,8 @@ class Game {
         }
         
         // Draw grid bubbles
-        for (let row = 0; row < GRID_ROWS; row++) {
-            for (let col = 0; col < GRID_COLS; col++) {
+        for (let row = 0; row < this.geometry.rows; row++) {
+            for (let col = 0; col < this.geometry.cols; col++) {
                 const bubble = this.gridBubbles[row][col];
                 if (bubble) {
                     bubble.draw(this.ctx);
@@ -1979,7 +2560,7 @@ class Game {
         if (!this.initializing) {
             // Draw flying bubbles with enhanced collision prediction
             for (const bubble of this.flyingBubbles) {
-                bubble.draw(this.ctx);
+                bubble.draw(this.ctx, alpha);
                 
                 // Draw collision prediction if enabled
                 if (this.showCollisionPrediction) {
@@ -1990,13 +2571,15 @@ class Game {
         
         // Draw falling bubbles
         for (const bubble of this.fallingBubbles) {
-            bubble.draw(this.ctx);
+            bubble.draw(this.ctx, alpha);
         }
         
         // Draw removing bubbles (pop animation)
         for (const bubble of this.removingBubbles) {
             bubble.draw(this.ctx);
         }
+        
+        this.drawScorePopups();
 
         // Draw finish line only if finishLineY is properly set
         if (this.finishLineY > 0) {
@@ -2049,7 +2632,10 @@ class Game {
 
         // Only draw shooter if it exists, game is started, and position is valid
         if (this.shooter && this.gameStarted && !this.gameOver && !this.gameWon && this.finishLineY > 0) {
-            this.shooter.draw(this.ctx);
+            this.shooter.draw(this.ctx, this.shooter.canShoot() ? this.predictShot() : null);
+            if (this.hint) {
+                this.drawHint();
+            }
         }
 
         // Draw UI
@@ -2072,10 +2658,17 @@ class Game {
         this.ctx.fillText(`Score: ${this.score}`, 20, 30);
         
         // Draw level
-        this.ctx.fillText(`Level: ${this.level}`, 20, 60);
+        this.ctx.fillText(this.levelDefinition ? this.levelDefinition.name : `Level: ${this.level}/${LEVEL_COUNT}`, 20, 60);
         
         // Draw missed shots indicator
-        this.ctx.fillText(`Misses: ${this.missedShots}/${MISSED_SHOTS_LIMIT}`, 20, 90);
+        this.ctx.fillText(`Misses: ${this.missedShots}/${Number.isFinite(this.board.missLimit) ? this.board.missLimit : '∞'}`, 20, 90);
+        
+        // Successful shots in a row, once they start multiplying points
+        if (this.board.combo > 1) {
+            this.ctx.fillStyle = '#FECA57';
+            this.ctx.fillText(`Combo: ${this.board.combo}`, 20, 120);
+            this.ctx.fillStyle = 'white';
+        }
         
         // Draw mode specific UI
         if (this.gameMode === "strategy") {
@@ -2086,6 +2679,21 @@ class Game {
             this.ctx.fillText(`Time: ${minutes}:${seconds < 10 ? '0' : ''}${seconds}`, this.canvas.width - 120, 30);
         }
         
+        // Seed of this game, so a board can be shared or reproduced
+        this.ctx.font = '12px Arial';
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        this.ctx.fillText(`Seed: ${this.seed}`, this.canvas.width - 120, 50);
+        
+        // Replay status: speed or pause, and position in the recording
+        if (this.replay) {
+            const { log, paused, speed } = this.replay;
+            this.ctx.fillStyle = '#FECA57';
+            this.ctx.fillText(`REPLAY ${paused ? 'paused' : speed + 'x'} ${this.tick}/${log.endTick}`, this.canvas.width - 120, 66);
+        } else if (this.bot) {
+            this.ctx.fillStyle = '#FECA57';
+            this.ctx.fillText('BOT playing', this.canvas.width - 120, 66);
+        }
+        
         // Enhanced debug information display
         if (this.showDebugInfo) {
             this.drawDebugInfo();
@@ -2098,18 +2706,26 @@ class Game {
             this.ctx.fillText('DEBUG MODE: G=Grid, I=Info, P=Prediction, R=Report, C=Clear, D=Toggle', 10, this.canvas.height - 5);
         }
         
+        if (this.levelSummary) {
+            this.drawLevelSummary();
+        }
+        
         // Draw game over or win message
         if (this.gameOver || this.gameWon) {
             this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
             this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
             
+            // Where the final score came from, one line per source; the text moves up to fit it
+            const breakdown = this.getScoreBreakdown();
+            const top = this.canvas.height / 2 - breakdown.length * 10;
+            
             this.ctx.font = 'bold 40px Arial';
             this.ctx.fillStyle = this.gameWon ? '#4ECDC4' : '#FF6B6B';
             this.ctx.textAlign = 'center';
             this.ctx.fillText(
                 this.gameWon ? 'You Win!' : 'Game Over', 
                 this.canvas.width / 2, 
-                this.canvas.height / 2 - 40
+                top - 40
             );
             
             this.ctx.font = '24px Arial';
@@ -2117,18 +2733,56 @@ class Game {
             this.ctx.fillText(
                 `Final Score: ${this.score}`, 
                 this.canvas.width / 2, 
-                this.canvas.height / 2 + 10
+                top + 10
             );
             
+            this.ctx.font = '16px Arial';
+            this.ctx.fillStyle = '#DDD';
+            breakdown.forEach(({ label, points }, i) => {
+                this.ctx.fillText(`${label}: ${points > 0 ? '+' : ''}${points}`, this.canvas.width / 2, top + 40 + i * 20);
+            });
+            
             this.ctx.font = '18px Arial';
+            this.ctx.fillStyle = 'white';
             this.ctx.fillText(
-                'Click to play again', 
+                this.replay ? 'Replay finished' : this.bot ? 'Next game starting...' : 'Click to play again', 
                 this.canvas.width / 2, 
-                this.canvas.height / 2 + 50
+                top + 50 + breakdown.length * 20
             );
         }
     }
 
+    drawLevelSummary() {
+        const { level, score, levelScore, bonus, timeBonus, shotBonus, shots } = this.levelSummary;
+        const centerX = this.canvas.width / 2;
+        const centerY = this.canvas.height / 2;
+        
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        this.ctx.font = 'bold 36px Arial';
+        this.ctx.fillStyle = '#4ECDC4';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(`Level ${level} Complete!`, centerX, centerY - 80);
+        
+        this.ctx.font = '20px Arial';
+        this.ctx.fillStyle = 'white';
+        // Time and shot bonuses only score in the modes whose rules pay them
+        const lines = [
+            `Level points: ${levelScore}`,
+            `Clear bonus: ${bonus}`,
+            ...(timeBonus ? [`Time bonus: ${timeBonus}`] : []),
+            ...(shotBonus ? [`Shot bonus: ${shotBonus}`] : []),
+            `Shots: ${shots}`,
+            `Total score: ${score}`
+        ];
+        lines.forEach((line, i) => this.ctx.fillText(line, centerX, centerY - 30 + i * 30));
+        
+        this.ctx.font = '18px Arial';
+        this.ctx.fillStyle = '#FECA57';
+        this.ctx.fillText(this.bot ? `Level ${level + 1} starting...` : `Click to start level ${level + 1}`, centerX, centerY - 10 + lines.length * 30);
+    }
+
     drawDebugInfo() {
         const report = this.debugLogger.getReport();
         
@@ -2207,64 +2861,50 @@ class Game {
 
     drawHexagonalGrid() {
         // Draw the perfect hexagonal grid for debugging and verification
-        this.ctx.strokeStyle = 'rgba(0, 255, 0, 0.3)'; // Semi-transparent green
-        this.ctx.lineWidth = 1;
-        this.ctx.setLineDash([2, 2]); // Dashed lines
-        
-        // Draw grid positions and connections
-        for (let row = 0; row < GRID_ROWS; row++) {
-            for (let col = 0; col < GRID_COLS; col++) {
-                const x = this.getColPosition(row, col);
-                const y = this.getRowPosition(row);
-                
-                // Draw position markers
-                this.ctx.beginPath();
-                this.ctx.arc(x, y, 3, 0, Math.PI * 2);
-                this.ctx.fillStyle = 'rgba(0, 255, 0, 0.5)';
-                this.ctx.fill();
-                
-                // Draw hexagonal connections to neighbors
-                const neighbors = this.getNeighborPositions(row, col);
-                for (const [nRow, nCol] of neighbors) {
-                    if (nRow >= 0 && nRow < GRID_ROWS && nCol >= 0 && nCol < GRID_COLS) {
-                        const nx = this.getColPosition(nRow, nCol);
-                        const ny = this.getRowPosition(nRow);
-                        
-                        this.ctx.beginPath();
-                        this.ctx.moveTo(x, y);
-                        this.ctx.lineTo(nx, ny);
-                        this.ctx.stroke();
-                    }
-                }
-            }
-        }
-        
-        this.ctx.setLineDash([]); // Reset line dash
+        drawHexGrid(this.ctx, this.board);
         
         // Display grid info
         this.ctx.font = '12px Arial';
         this.ctx.fillStyle = 'rgba(0, 255, 0, 0.8)';
         this.ctx.fillText('DEBUG: Perfect Hexagonal Grid', 10, this.canvas.height - 80);
-        this.ctx.fillText(`Row Height: ${GRID_ROW_HEIGHT.toFixed(2)} (√3 × ${BUBBLE_RADIUS})`, 10, this.canvas.height - 65);
-        this.ctx.fillText(`Col Spacing: ${GRID_COL_SPACING} (2 × ${BUBBLE_RADIUS})`, 10, this.canvas.height - 50);
-        this.ctx.fillText(`Hex Offset: ${HEX_OFFSET} (${BUBBLE_RADIUS})`, 10, this.canvas.height - 35);
+        const { rowHeight, colSpacing, hexOffset, bubbleRadius } = this.geometry;
+        this.ctx.fillText(`Row Height: ${rowHeight.toFixed(2)} (√3 × ${bubbleRadius})`, 10, this.canvas.height - 65);
+        this.ctx.fillText(`Col Spacing: ${colSpacing} (2 × ${bubbleRadius})`, 10, this.canvas.height - 50);
+        this.ctx.fillText(`Hex Offset: ${hexOffset} (${bubbleRadius})`, 10, this.canvas.height - 35);
                this.ctx.fillText('Press G to toggle grid', 10, this.canvas.height - 20);
     }
 
-    gameLoop() {
-        // Limit to 60 FPS for consistent smooth gameplay
-        const now = performance.now();
+    gameLoop(now = performance.now()) {
+        if (this.destroyed) return;
+        
+        // Fixed-timestep loop: real elapsed time is banked in the accumulator and
+        // spent in whole SIMULATION_STEP updates, so game speed does not depend on
+        // the display rate. Rendering interpolates between the last two steps.
         if (!this.lastTime) this.lastTime = now;
-        const deltaTime = now - this.lastTime;
+        let frameTime = Math.min((now - this.lastTime) / 1000, MAX_FRAME_TIME);
+        this.lastTime = now;
+        
+        // Replays can be paused or fast-forwarded by scaling the time fed to the simulation
+        if (this.replay) {
+            frameTime = this.replay.paused ? 0 : frameTime * this.replay.speed;
+        }
+        this.accumulator += frameTime;
         
-        if (deltaTime >= 16.67) { // ~60 FPS
-            this.update();
-            this.draw();
-            this.lastTime = now;
+        while (this.accumulator >= SIMULATION_STEP) {
+            // A replay holds on its last recorded tick instead of simulating past it
+            if (this.replay && this.tick >= this.replay.log.endTick) {
+                this.fireReplayShots(); // Inputs on the last tick, e.g. the shot that ended the game
+                this.accumulator = 0;
+                break;
+            }
+            this.update(SIMULATION_STEP);
+            this.accumulator -= SIMULATION_STEP;
         }
         
+        this.draw(this.accumulator / SIMULATION_STEP);
+        
         // Always continue the game loop
-        requestAnimationFrame(() => this.gameLoop());
+        requestAnimationFrame((time) => this.gameLoop(time));
     }
 }
 
@@ -2275,14 +2915,38 @@ window.addEventListener('load', () => {
     const gameScreen = document.getElementById('gameScreen');
     const leaderboard = document.getElementById('leaderboard');
     const startGameBtn = document.getElementById('startGame');
+    const continueGameBtn = document.getElementById('continueGame');
+    const loadLevelBtn = document.getElementById('loadLevel');
+    const levelFileInput = document.getElementById('levelFile');
+    const openEditorBtn = document.getElementById('openEditor');
+    const watchBotBtn = document.getElementById('watchBot');
+    const levelEditorScreen = document.getElementById('levelEditor');
+    const editorBackBtn = document.getElementById('editorBack');
     const backToMenuBtn = document.getElementById('backToMenu');
     const showLeaderboardBtn = document.getElementById('showLeaderboard');
     const backToMenuFromLeaderboardBtn = document.getElementById('backToMenuFromLeaderboard');
     const toggleSoundBtn = document.getElementById('toggleSound');
+    const seedInput = document.getElementById('seedInput');
+    const undoShotBtn = document.getElementById('undoShot');
+    const hintShotBtn = document.getElementById('hintShot');
+    const swapShotBtn = document.getElementById('swapShot');
+    const replayGameBtn = document.getElementById('replayGame');
+    const exportReplayBtn = document.getElementById('exportReplay');
+    const importReplayBtn = document.getElementById('importReplay');
+    const replayFileInput = document.getElementById('replayFile');
+    const replayControls = document.getElementById('replayControls');
+    const replayPauseBtn = document.getElementById('replayPause');
+    const replaySpeedBtn = document.getElementById('replaySpeed');
+    const replayScrub = document.getElementById('replayScrub');
+    const replayExitBtn = document.getElementById('replayExit');
+    const REPLAY_SPEEDS = [1, 2, 4, 8];
     
     let game = null;
+    let editor = null; // Created the first time the editor is opened
+    let testingLevel = false; // The game was started from the editor, so Menu goes back there
     let selectedGameMode = 'classic';
     let selectedDifficulty = 'novice';
+    let selectedHintIdle = 0; // Seconds before an idle player is shown a hint, 0 for never
     let soundEnabled = true;
 
     // Handle game mode selection
@@ -2305,23 +2969,273 @@ window.addEventListener('load', () => {
         });
     });
 
-    // Start Game button
-    startGameBtn.addEventListener('click', () => {
+    // Handle idle hint selection
+    const hintIdleButtons = document.querySelectorAll('.button-group button[data-hint-idle]');
+    hintIdleButtons.forEach(button => {
+        button.addEventListener('click', () => {
+            hintIdleButtons.forEach(btn => btn.classList.remove('active'));
+            button.classList.add('active');
+            selectedHintIdle = Number(button.getAttribute('data-hint-idle'));
+        });
+    });
+
+    // Replaces any previous game, which would otherwise keep running behind the menu
+    const launchGame = (options) => {
         gameMenu.style.display = 'none';
         gameScreen.style.display = 'block';
         
-        // Initialize game with selected settings
-        game = new Game(canvas);
-        game.gameMode = selectedGameMode;
-        game.difficulty = selectedDifficulty;
+        if (game) {
+            game.destroy();
+            game = null; // Stays null if the new game cannot be built
+        }
+        game = new Game(canvas, { hintIdleTime: selectedHintIdle, ...options });
         game.soundEnabled = soundEnabled;
         game.start(); // Start the game with the chosen settings
+        updateReplayControls();
+        updateUndoButton();
+        updateHintButton();
+    };
+
+    // Start Game button
+    startGameBtn.addEventListener('click', () => {
+        // Initialize game with selected settings; an empty seed field means a random game
+        launchGame({
+            gameMode: selectedGameMode,
+            difficulty: selectedDifficulty,
+            seed: seedInput.value.trim()
+        });
+    });
+
+    // Watch Bot button - a bot plays the selected mode and difficulty, game after game
+    watchBotBtn.addEventListener('click', () => {
+        launchGame({
+            gameMode: selectedGameMode,
+            difficulty: selectedDifficulty,
+            seed: seedInput.value.trim(),
+            bot: new LookaheadBot()
+        });
+    });
+
+    // Load Level button - plays an authored level file (see LevelDefinition)
+    loadLevelBtn.addEventListener('click', () => levelFileInput.click());
+
+    levelFileInput.addEventListener('change', () => {
+        const file = levelFileInput.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                launchGame({
+                    difficulty: selectedDifficulty,
+                    seed: seedInput.value.trim(),
+                    levelDefinition: LevelDefinition.parse(reader.result)
+                });
+            } catch (error) {
+                console.error('Could not load level:', error);
+                alert(`Could not load level: ${error.message}`);
+                gameScreen.style.display = 'none';
+                gameMenu.style.display = 'block';
+            }
+        };
+        reader.readAsText(file);
+        levelFileInput.value = ''; // Allow loading the same file again
+    });
+
+    // Level editor - test play runs the level in a normal game screen
+    openEditorBtn.addEventListener('click', () => {
+        if (!editor) {
+            editor = new LevelEditor((definition) => {
+                levelEditorScreen.style.display = 'none';
+                testingLevel = true;
+                try {
+                    launchGame({ difficulty: selectedDifficulty, levelDefinition: definition, testPlay: true });
+                } catch (error) {
+                    gameScreen.style.display = 'none';
+                    levelEditorScreen.style.display = 'flex';
+                    testingLevel = false;
+                    throw error; // Shown by the editor
+                }
+            });
+        }
+        gameMenu.style.display = 'none';
+        levelEditorScreen.style.display = 'flex';
+    });
+
+    editorBackBtn.addEventListener('click', () => {
+        levelEditorScreen.style.display = 'none';
+        gameMenu.style.display = 'block';
+        updateContinueButton();
+    });
+
+    // Continue button - only shown while a saved game exists
+    const updateContinueButton = () => {
+        continueGameBtn.style.display = Game.loadSavedGame() ? 'inline-block' : 'none';
+    };
+
+    continueGameBtn.addEventListener('click', () => {
+        const snapshot = Game.loadSavedGame();
+        if (!snapshot) {
+            updateContinueButton();
+            return;
+        }
+        launchGame({ gameMode: snapshot.mode, difficulty: snapshot.difficulty, snapshot });
+    });
+
+    updateContinueButton();
+
+    // Keep the game when the tab is closed or hidden
+    window.addEventListener('pagehide', () => {
+        if (game) {
+            game.saveProgress();
+        }
+    });
+
+    // Replay controls - only shown while a replay is playing
+    const updateReplayControls = () => {
+        const replay = game && game.replay;
+        replayControls.style.display = replay ? 'flex' : 'none';
+        if (replay) {
+            replayScrub.max = replay.log.endTick;
+            replayPauseBtn.textContent = replay.paused ? 'Play' : 'Pause';
+            replaySpeedBtn.textContent = `${replay.speed}x`;
+        }
+    };
+
+    const playReplay = (log) => {
+        try {
+            game.startReplay(log);
+        } catch (error) {
+            console.error('Could not start replay:', error);
+            alert(`Could not load replay: ${error.message}`);
+        }
+        updateReplayControls();
+    };
+
+    replayGameBtn.addEventListener('click', () => {
+        const recording = game && game.getRecording();
+        if (recording && recording.shots.length > 0) {
+            playReplay(recording);
+        }
+    });
+
+    exportReplayBtn.addEventListener('click', () => {
+        const recording = game && game.getRecording();
+        if (!recording) return;
+        
+        const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `bubble-shooter-replay-${recording.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+
+    importReplayBtn.addEventListener('click', () => replayFileInput.click());
+
+    replayFileInput.addEventListener('change', () => {
+        const file = replayFileInput.files[0];
+        if (!file || !game) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => playReplay(reader.result);
+        reader.readAsText(file);
+        replayFileInput.value = ''; // Allow loading the same file again
+    });
+
+    replayPauseBtn.addEventListener('click', () => {
+        game.toggleReplayPause();
+        updateReplayControls();
+    });
+
+    replaySpeedBtn.addEventListener('click', () => {
+        const index = REPLAY_SPEEDS.indexOf(game.replay.speed);
+        game.setReplaySpeed(REPLAY_SPEEDS[(index + 1) % REPLAY_SPEEDS.length]);
+        updateReplayControls();
+    });
+
+    replayScrub.addEventListener('input', () => {
+        game.seekReplay(Number(replayScrub.value));
+    });
+
+    replayExitBtn.addEventListener('click', () => {
+        game.stopReplay();
+        updateReplayControls();
+    });
+
+    // Undo button - strategy mode only, labelled with the undos left
+    const updateUndoButton = () => {
+        const strategy = game && game.gameMode === 'strategy' && !game.replay;
+        undoShotBtn.style.display = strategy ? 'inline-block' : 'none';
+        if (strategy) {
+            undoShotBtn.textContent = `Undo (${UNDO_LIMIT - game.undosUsed})`;
+            undoShotBtn.disabled = !game.canUndo();
+        }
+    };
+
+    undoShotBtn.addEventListener('click', () => {
+        game.undoLastShot();
+        updateUndoButton();
+    });
+
+    // Hint button - labelled with the hints left; hidden while a bot or replay plays
+    const updateHintButton = () => {
+        const playing = game && !game.replay && !game.bot;
+        hintShotBtn.style.display = playing ? 'inline-block' : 'none';
+        if (playing) {
+            hintShotBtn.textContent = `Hint (${HINT_LIMIT - game.hintsUsed})`;
+            hintShotBtn.disabled = !game.canHint();
+        }
+    };
+
+    hintShotBtn.addEventListener('click', () => {
+        game.requestHint();
+        updateHintButton();
+    });
+
+    // Swap button - labelled with the swaps left, if the mode limits them
+    const updateSwapButton = () => {
+        const playing = game && !game.replay && !game.bot;
+        swapShotBtn.style.display = playing ? 'inline-block' : 'none';
+        if (playing) {
+            const limit = game.getSwapLimit();
+            swapShotBtn.textContent = Number.isFinite(limit) ? `Swap (${limit - game.swapsUsed})` : 'Swap';
+            swapShotBtn.disabled = !game.canSwap();
+        }
+    };
+
+    swapShotBtn.addEventListener('click', () => {
+        game.swapShots();
+        updateSwapButton();
     });
 
-    // Back to Menu button
+    // Keep the scrub bar following playback and the undo, hint and swap buttons in step with the game
+    setInterval(() => {
+        if (game && game.replay && document.activeElement !== replayScrub) {
+            replayScrub.value = game.tick;
+        }
+        updateUndoButton();
+        updateHintButton();
+        updateSwapButton();
+    }, 100);
+
+    // Back to Menu button - the game is saved and shut down rather than left running
+    // behind the menu, where its clock and input would carry on; Continue rebuilds it
     backToMenuBtn.addEventListener('click', () => {
+        if (game) {
+            game.saveProgress();
+            game.destroy();
+            game = null;
+        }
+        updateReplayControls();
         gameScreen.style.display = 'none';
+        if (testingLevel) {
+            testingLevel = false;
+            levelEditorScreen.style.display = 'flex';
+            return;
+        }
         gameMenu.style.display = 'block';
+        updateContinueButton();
     });
 
     // Show Leaderboard button
@@ -2343,13 +3257,14 @@ window.addEventListener('load', () => {
                     <td>${score.score}</td>
                     <td>${score.mode}</td>
                     <td>${score.difficulty}</td>
+                    <td>${score.level || 1}</td>
                     <td>${new Date(score.date).toLocaleDateString()}</td>
                 `;
                 scoresList.appendChild(row);
             });
         } else {
             const row = document.createElement('tr');
-            row.innerHTML = '<td colspan="5">No high scores yet!</td>';
+            row.innerHTML = '<td colspan="6">No high scores yet!</td>';
             scoresList.appendChild(row);
         }
     });
@@ -2358,6 +3273,7 @@ window.addEventListener('load', () => {
     backToMenuFromLeaderboardBtn.addEventListener('click', () => {
         leaderboard.style.display = 'none';
         gameMenu.style.display = 'block';
+        updateContinueButton();
     });
 
     // Toggle Sound button
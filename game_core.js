@@ -0,0 +1,2458 @@
+// Bubble Shooter core - board and rules engine shared by the browser game and Node tools
+
+// Debug logging system
+class DebugLogger {
+    constructor(enabled = false) {
+        this.enabled = enabled;
+        this.collisionLog = [];
+        this.frameCount = 0;
+        this.performanceMetrics = {
+            avgFrameTime: 0,
+            collisionChecks: 0,
+            gridSnaps: 0
+        };
+    }
+
+    log(category, message, data = null) {
+        if (!this.enabled) return;
+        const timestamp = performance.now();
+        const logEntry = {
+            timestamp,
+            frame: this.frameCount,
+            category,
+            message,
+            data
+        };
+        
+        console.log(`[${category.toUpperCase()}] Frame ${this.frameCount}: ${message}`, data || '');
+        
+        // Store specific logs for analysis
+        if (category === 'collision') {
+            this.collisionLog.push(logEntry);
+            if (this.collisionLog.length > 100) {
+                this.collisionLog.shift(); // Keep only last 100 collision events
+            }
+        }
+    }
+
+    updateMetrics(frameTime, collisionChecks, gridSnaps) {
+        this.performanceMetrics.avgFrameTime = (this.performanceMetrics.avgFrameTime * 0.9) + (frameTime * 0.1);
+        this.performanceMetrics.collisionChecks += collisionChecks;
+        this.performanceMetrics.gridSnaps += gridSnaps;
+    }
+
+    nextFrame() {
+        this.frameCount++;
+    }
+
+    getReport() {
+        return {
+            frame: this.frameCount,
+            ...this.performanceMetrics,
+            recentCollisions: this.collisionLog.slice(-10)
+        };
+    }
+}
+
+// Enhanced collision prediction system
+class CollisionPredictor {
+    constructor(geometry = new BoardGeometry()) {
+        this.geometry = geometry; // Grid layout used to narrow down the cells to check
+        this.predictionSteps = 10; // Number of steps to predict ahead
+        this.timeStep = 1/60; // Assuming 60 FPS
+    }
+
+    // Contacts the bubble would make over the next predictionSteps steps, found
+    // with the same swept test the game uses to move it
+    predictCollision(bubble, gridBubbles, canvasWidth, canvasHeight) {
+        const ghost = { x: bubble.x, y: bubble.y, vx: bubble.vx, vy: bubble.vy, radius: bubble.radius };
+        const contact = this.sweep(ghost, this.predictionSteps * this.timeStep, gridBubbles, {
+            width: canvasWidth,
+            restitution: 0.95 // Energy loss on bounce
+        });
+        
+        if (!contact.hit) {
+            return [];
+        }
+        
+        return [{
+            step: Math.floor(contact.time / this.timeStep),
+            type: contact.hit === 'ceiling' ? 'top_wall' : 'grid_collision',
+            position: { x: ghost.x, y: ghost.y },
+            collision: contact.hit === 'bubble'
+                ? { bubble: contact.target, distance: ghost.radius + contact.target.radius, row: contact.row, col: contact.col }
+                : undefined,
+            time: contact.time
+        }];
+    }
+
+    // Earliest time in [0, maxTime] at which a point moving from (x, y) with
+    // velocity (vx, vy) comes within `distance` of (cx, cy), or null if it does
+    // not. Solves |p + v*t - c| = distance, a quadratic in t.
+    timeOfImpact(x, y, vx, vy, cx, cy, distance, maxTime) {
+        const dx = x - cx;
+        const dy = y - cy;
+        const a = vx * vx + vy * vy;
+        const b = 2 * (dx * vx + dy * vy);
+        const c = dx * dx + dy * dy - distance * distance;
+        
+        if (c <= 0) {
+            return b < 0 ? 0 : null; // Already touching: only a hit while still closing in
+        }
+        
+        const discriminant = b * b - 4 * a * c;
+        if (a === 0 || discriminant < 0) {
+            return null;
+        }
+        
+        const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+        return t >= 0 && t <= maxTime ? t : null;
+    }
+
+    // Moves a flying bubble through `duration` seconds of travel, bouncing off the
+    // side walls, and stops it at its first contact with the ceiling or a grid
+    // bubble. Every contact is solved exactly, so a fast bubble cannot pass
+    // through a bubble or a gap between two steps.
+    // bounds: { width, restitution }. Returns { hit: 'ceiling' | 'bubble' | null,
+    // target, row, col, time, wallBounces, bouncePoints }, with the bubble left at
+    // the contact point.
+    sweep(bubble, duration, gridBubbles, bounds) {
+        const radius = bubble.radius;
+        const contact = { hit: null, target: null, row: -1, col: -1, time: 0, wallBounces: 0, bouncePoints: [] };
+        let remaining = duration;
+        
+        // Each pass ends at a wall bounce or the first contact; the cap only
+        // guards against a bubble stuck bouncing in a board narrower than itself
+        for (let pass = 0; pass < 16 && remaining > 0 && !contact.hit; pass++) {
+            let time = remaining;
+            let event = null;
+            
+            // Side walls
+            if (bubble.vx < 0) {
+                const t = Math.max(0, (radius - bubble.x) / bubble.vx);
+                if (t < time) { time = t; event = { hit: 'wall' }; }
+            } else if (bubble.vx > 0) {
+                const t = Math.max(0, (bounds.width - radius - bubble.x) / bubble.vx);
+                if (t < time) { time = t; event = { hit: 'wall' }; }
+            }
+            
+            // Ceiling
+            if (bubble.vy < 0) {
+                const t = Math.max(0, (radius - bubble.y) / bubble.vy);
+                if (t <= time) { time = t; event = { hit: 'ceiling' }; }
+            }
+            
+            // Grid bubbles inside the box the bubble sweeps through this pass
+            const endX = bubble.x + bubble.vx * time;
+            const endY = bubble.y + bubble.vy * time;
+            for (let row = 0; row < gridBubbles.length; row++) {
+                for (let col = 0; col < gridBubbles[row].length; col++) {
+                    const target = gridBubbles[row][col];
+                    if (!target) continue;
+                    
+                    const reach = radius + target.radius;
+                    if (target.x < Math.min(bubble.x, endX) - reach || target.x > Math.max(bubble.x, endX) + reach ||
+                        target.y < Math.min(bubble.y, endY) - reach || target.y > Math.max(bubble.y, endY) + reach) {
+                        continue;
+                    }
+                    
+                    const t = this.timeOfImpact(bubble.x, bubble.y, bubble.vx, bubble.vy, target.x, target.y, reach, time);
+                    if (t !== null && t <= time) {
+                        time = t;
+                        event = { hit: 'bubble', target, row, col };
+                    }
+                }
+            }
+            
+            bubble.x += bubble.vx * time;
+            bubble.y += bubble.vy * time;
+            remaining -= time;
+            
+            if (event && event.hit === 'wall') {
+                const leftWall = bubble.vx < 0;
+                bubble.x = leftWall ? radius : bounds.width - radius;
+                bubble.vx = (leftWall ? 1 : -1) * Math.abs(bubble.vx) * bounds.restitution;
+                contact.wallBounces++;
+                contact.bouncePoints.push({ x: bubble.x, y: bubble.y });
+            } else if (event) {
+                Object.assign(contact, event);
+            }
+        }
+        
+        contact.time = duration - remaining;
+        return contact;
+    }
+
+    // Where a shot from (x, y) at angle lands on a board: the path up to its first
+    // contact ({ points }), the simulated seconds it flies ({ time }), the walls it
+    // bounces off on the way ({ wallBounces }) and the cell it will snap into
+    // ({ cell: { row, col, x, y } }, null if there is no room or the path is longer
+    // than maxLength px). Runs the same steps as a real shot - sweep
+    // per SIMULATION_STEP, then the board's snap search - on a throwaway bubble, so
+    // the aim preview, hints and solvers agree with play.
+    traceShot(board, x, y, angle, { restitution = WALL_RESTITUTION, maxLength = Infinity } = {}) {
+        const ghost = {
+            x,
+            y,
+            vx: Math.cos(angle) * SHOOTER_SPEED,
+            vy: Math.sin(angle) * SHOOTER_SPEED,
+            radius: board.geometry.bubbleRadius
+        };
+        const bounds = { width: board.width, restitution };
+        const points = [{ x, y }];
+        let travelled = 0;
+        let wallBounces = 0;
+        
+        // Bounded so a near-horizontal shot cannot keep the loop going
+        for (let step = 0; step < 600; step++) {
+            const contact = this.sweep(ghost, SIMULATION_STEP, board.gridBubbles, bounds);
+            wallBounces += contact.wallBounces;
+            
+            // Measure the step segment by segment so bank shots count their full length
+            let last = points[points.length - 1];
+            for (const point of contact.bouncePoints.concat({ x: ghost.x, y: ghost.y })) {
+                const length = Math.hypot(point.x - last.x, point.y - last.y);
+                if (travelled + length >= maxLength) {
+                    const t = length > 0 ? (maxLength - travelled) / length : 0;
+                    points.push({ x: last.x + (point.x - last.x) * t, y: last.y + (point.y - last.y) * t });
+                    return { points, time: (step + 1) * SIMULATION_STEP, cell: null, wallBounces };
+                }
+                travelled += length;
+                points.push(point);
+                last = point;
+            }
+            
+            if (contact.hit) {
+                const { row, col } = board.findSnapCell(ghost);
+                const cell = row >= 0
+                    ? { row, col, x: board.getColPosition(row, col), y: board.getRowPosition(row) }
+                    : null;
+                return { points, time: (step + 1) * SIMULATION_STEP, cell, wallBounces };
+            }
+        }
+        return { points, time: 600 * SIMULATION_STEP, cell: null, wallBounces };
+    }
+
+    checkGridCollision(x, y, radius, gridBubbles) {
+        // Quick grid-based collision check
+        const { row: approximateRow, col: approximateCol } = this.geometry.approximateCell(x, y);
+
+        const rowsToCheck = [
+            Math.max(0, approximateRow - 1),
+            approximateRow,
+            Math.min(gridBubbles.length - 1, approximateRow + 1)
+        ];
+
+        for (const row of rowsToCheck) {
+            if (row < 0 || row >= gridBubbles.length) continue;
+            
+            const colStart = Math.max(0, approximateCol - 2);
+            const colEnd = Math.min(gridBubbles[row].length - 1, approximateCol + 2);
+            
+            for (let col = colStart; col <= colEnd; col++) {
+                const gridBubble = gridBubbles[row][col];
+                if (gridBubble) {
+                    const dx = x - gridBubble.x;
+                    const dy = y - gridBubble.y;
+                    const distance = Math.sqrt(dx * dx + dy * dy);
+                    
+                    if (distance < (radius + gridBubble.radius) * 0.98) {
+                        return { bubble: gridBubble, distance, row, col };
+                    }
+                }
+            }
+        }
+        return null;
+    }
+}
+
+// Game constants
+const BUBBLE_RADIUS = 20;
+const BUBBLE_COLORS = ['#FF6B6B', '#4ECDC4', '#1E3A8A', '#00FF88', '#FECA57', '#FF9FF3'];
+const SHOOTER_SPEED = 2100; // px per second (35px per 60Hz step)
+const WALL_RESTITUTION = 0.95; // Share of sideways speed a bubble keeps when it bounces off a wall
+
+// Fixed-timestep simulation - physics always advances in steps of this many seconds,
+// whatever the display refresh rate
+const SIMULATION_STEP = 1 / 60;
+const MAX_FRAME_TIME = 0.25; // Longest real-time gap simulated in one frame (tab switches, breakpoints)
+const FALL_GRAVITY = 2880; // px per second squared for bubbles dropped in an avalanche
+const FALL_START_SPEED = 60; // px per second when a bubble starts to fall
+const GRID_ROWS = 10;
+const GRID_COLS = 14;
+const GRID_TOP_MARGIN = BUBBLE_RADIUS * 2;
+
+// Perfect hexagonal grid constants using mathematical precision
+const GRID_COL_SPACING = BUBBLE_RADIUS * 2; // Exact bubble diameter for perfect horizontal spacing
+const GRID_ROW_HEIGHT = BUBBLE_RADIUS * Math.sqrt(3); // Perfect hexagonal row height (√3 * radius)
+const HEX_OFFSET = BUBBLE_RADIUS; // Exact offset for odd rows in hexagonal pattern
+
+const MISSED_SHOTS_LIMIT = 5;
+const POP_THRESHOLD = 3; // Number of same-colored bubbles needed to pop
+const POINTS_PER_BUBBLE = 10;
+const AVALANCHE_BONUS = 5; // Points per bubble in an avalanche
+const CLEAR_FIELD_BONUS_MULTIPLIER = 2;
+const COMBO_STEP = 0.5; // Multiplier each successful shot in a row adds after the first
+const MAX_COMBO_MULTIPLIER = 4;
+const BANK_SHOT_MULTIPLIER = 1.5; // Successful shots that bounced off a wall first
+const BIG_AVALANCHE_STEP = 5; // Every this many bubbles one shot drops adds 0.5 to its avalanche multiplier
+// The constants above are the default ScoringRules; each mode changes some of them
+const SCORING_RULES = {
+    classic: {},
+    arcade: { timeBonus: 10 },  // Points per second left when a level is complete
+    strategy: { shotBonus: 50 } // Points per shot left when a level is complete
+};
+
+// Where a game's points came from, with the label the final breakdown shows
+const SCORE_SOURCES = {
+    pops: 'Popped bubbles',
+    avalanches: 'Avalanches',
+    combos: 'Combos',
+    bankShots: 'Bank shots',
+    bigAvalanches: 'Big avalanches',
+    buckets: 'Buckets',
+    clearBonus: 'Clear bonus',
+    timeBonus: 'Time bonus',
+    shotBonus: 'Shot bonus',
+    hints: 'Hints',
+    undos: 'Undos'
+};
+const MAX_CANVAS_WIDTH = 400; // Widest canvas the default board is drawn on
+const LEVEL_COUNT = 10; // Clearing the last level wins the game
+const MAX_START_ROWS = 8; // Deepest starting fill a level can ask for
+const STRATEGY_SHOTS = 30; // Shots per level in strategy mode
+const ARCADE_TIME = 120; // Seconds per level in arcade mode
+const SWAP_LIMITS = { classic: 10, arcade: Infinity, strategy: 3 }; // Swaps of the current and next shot per game
+
+// Level 1 of each difficulty tier; previewLength is how far along its path (px)
+// the aim preview follows a shot, queueLength how many shots after the current
+// one the shooter shows (1-3), hold whether it has a hold slot, specials the
+// chance of each special shot per bubble the shooter loads (see loadShot)
+const DIFFICULTY_SETTINGS = {
+    novice: { rowsToStart: 3, colors: 3, addRowFrequency: 10, previewLength: Infinity, queueLength: 1, hold: false, specials: { bomb: 0.05, rainbow: 0.04, lightning: 0.03, paint: 0.04 } },
+    easy: { rowsToStart: 4, colors: 4, addRowFrequency: 8, previewLength: 1000, queueLength: 1, hold: false, specials: { bomb: 0.04, rainbow: 0.03, lightning: 0.03, paint: 0.03 } },
+    medium: { rowsToStart: 5, colors: 5, addRowFrequency: 6, previewLength: 700, queueLength: 2, hold: false, specials: { bomb: 0.03, rainbow: 0.03, lightning: 0.02, paint: 0.03 } },
+    hard: { rowsToStart: 6, colors: 6, addRowFrequency: 4, previewLength: 400, queueLength: 2, hold: true, specials: { bomb: 0.03, rainbow: 0.02, lightning: 0.02, paint: 0.02 } },
+    master: { rowsToStart: 7, colors: 6, addRowFrequency: 3, previewLength: 200, queueLength: 3, hold: true, specials: { bomb: 0.02, rainbow: 0.02, lightning: 0.01, paint: 0.02 } }
+};
+
+// Special shots. They are loaded in place of a plain bubble and drawn in their own
+// color, except paint, which takes a pool color like a plain bubble; the board
+// handles what they do when they land (Board.snapBubbleToGrid). A rainbow stays on
+// the grid as a wildcard (see Board.checkMatches).
+const SPECIAL_SHOT_COLORS = { bomb: '#2D3436', rainbow: '#F5F6FA', lightning: '#341F97' };
+const BOMB_RADIUS = 1; // Hex steps around its cell a bomb destroys
+const BOMB_REWARD_DROP = 8; // Bubbles one shot must drop to load a bomb as the next shot
+const SHOOTER_BASE_WEIGHT = 4; // Pool entries each color on the board gets besides one per bubble
+
+// A random load for the shooter: a special shot with its chance from specialRates,
+// otherwise a plain bubble from the pool. Draws the generator once more when there
+// are specials, so the shooter and GameSimulation must both load through here.
+function loadShot(random, pool, specialRates = {}) {
+    const specials = Object.keys(specialRates);
+    if (specials.length > 0) {
+        let roll = random.next();
+        for (const type of specials) {
+            if (roll < specialRates[type]) {
+                return { color: SPECIAL_SHOT_COLORS[type] || random.pick(pool), type };
+            }
+            roll -= specialRates[type];
+        }
+    }
+    return { color: random.pick(pool), type: 'normal' };
+}
+
+// The special shot a shot's result earns for the shooter, or null
+function rewardFor(result) {
+    return result && result.dropped.length >= BOMB_REWARD_DROP ? 'bomb' : null;
+}
+
+// Colors the shooter loads from on a random board: those of the difficulty's colors
+// still on the board, listed once per bubble plus SHOOTER_BASE_WEIGHT times so a
+// nearly cleared color still turns up. An empty board falls back to all of them.
+function shooterPool(board, colors) {
+    const counts = new Map(colors.map(color => [color, 0]));
+    board.gridBubbles.flat().forEach(bubble => {
+        if (bubble && (bubble.type === 'normal' || bubble.type === 'ice') && counts.has(bubble.color)) {
+            counts.set(bubble.color, counts.get(bubble.color) + 1);
+        }
+    });
+    const present = colors.filter(color => counts.get(color) > 0);
+    if (present.length === 0) return colors;
+    return present.flatMap(color => new Array(SHOOTER_BASE_WEIGHT + counts.get(color)).fill(color));
+}
+
+// Draws a new pool color for every loaded shot ({ color, type }) whose color has
+// left the pool; special shots drawn in their own color keep it. Draws in the
+// order given, so the shooter and GameSimulation must list their shots alike.
+function rerollShots(random, shots, pool) {
+    shots.forEach(shot => {
+        if (!SPECIAL_SHOT_COLORS[shot.type] && !pool.includes(shot.color)) {
+            shot.color = random.pick(pool);
+        }
+    });
+}
+
+// Buckets along the bottom, left to right in equal widths; a bubble dropped in an
+// avalanche scores the bucket it falls into
+const SCORE_BUCKETS = [
+    { score: 100, color: '#4ECDC4', label: '100' },
+    { score: 200, color: '#45B7D1', label: '200' },
+    { score: 300, color: '#FF6B6B', label: '300' }
+];
+
+// Point values a game is scored by: the mode's SCORING_RULES over the defaults,
+// and a level file's rules.scoring over those. The avalanche curve is the points
+// per dropped bubble times a multiplier that grows by avalancheStepBonus for every
+// avalancheStep bubbles one shot drops.
+const SCORING_RULE_KEYS = ['popPoints', 'avalanchePoints', 'avalancheStep', 'avalancheStepBonus', 'comboStep', 'maxCombo',
+    'bankShot', 'buckets', 'clearMultiplier', 'timeBonus', 'shotBonus'];
+
+class ScoringRules {
+    constructor(options = {}) {
+        const unknown = Object.keys(options).find(key => !SCORING_RULE_KEYS.includes(key));
+        if (unknown) {
+            throw new Error(`Unknown scoring rule "${unknown}"`);
+        }
+        const value = (key, fallback) => options[key] !== undefined ? options[key] : fallback;
+        
+        this.popPoints = value('popPoints', POINTS_PER_BUBBLE); // Per popped bubble
+        this.avalanchePoints = value('avalanchePoints', AVALANCHE_BONUS); // Per dropped bubble
+        this.avalancheStep = value('avalancheStep', BIG_AVALANCHE_STEP);
+        this.avalancheStepBonus = value('avalancheStepBonus', 0.5);
+        this.comboStep = value('comboStep', COMBO_STEP); // Added to the multiplier by each successful shot in a row
+        this.maxCombo = value('maxCombo', MAX_COMBO_MULTIPLIER);
+        this.bankShot = value('bankShot', BANK_SHOT_MULTIPLIER);
+        this.buckets = value('buckets', SCORE_BUCKETS.map(bucket => bucket.score)); // Bucket points, left to right
+        this.clearMultiplier = value('clearMultiplier', CLEAR_FIELD_BONUS_MULTIPLIER); // Score multiplier for a cleared board
+        this.timeBonus = value('timeBonus', 0); // Per whole second left when a level is complete (arcade)
+        this.shotBonus = value('shotBonus', 0); // Per shot left when a level is complete (strategy)
+        
+        const points = ['popPoints', 'avalanchePoints', 'avalancheStepBonus', 'comboStep', 'timeBonus', 'shotBonus'];
+        const multipliers = ['maxCombo', 'bankShot', 'clearMultiplier'];
+        const bad = points.find(key => !(Number.isFinite(this[key]) && this[key] >= 0)) ||
+            multipliers.find(key => !(Number.isFinite(this[key]) && this[key] >= 1)) ||
+            (!(Number.isInteger(this.avalancheStep) && this.avalancheStep > 0) && 'avalancheStep') ||
+            (!(Array.isArray(this.buckets) && this.buckets.length > 0 &&
+                this.buckets.every(score => Number.isFinite(score) && score >= 0)) && 'buckets');
+        if (bad) {
+            throw new Error(`Invalid scoring rule ${bad}: ${JSON.stringify(this[bad])}`);
+        }
+    }
+
+    // The rules for a game mode, with a level file's overrides on top
+    static forMode(mode, overrides = {}) {
+        return new ScoringRules({ ...SCORING_RULES[mode], ...overrides });
+    }
+
+    comboMultiplier(combo) {
+        return combo > 0 ? Math.min(this.maxCombo, 1 + this.comboStep * (combo - 1)) : 1;
+    }
+
+    avalancheMultiplier(dropped) {
+        return 1 + this.avalancheStepBonus * Math.floor(dropped / this.avalancheStep);
+    }
+
+    // Bonuses for completing a level: { clearBonus, timeBonus, shotBonus }. levelScore
+    // is the points scored on that level alone, so clear bonuses never compound.
+    levelBonuses({ levelScore, cleared, timeLeft, shotsLeft }) {
+        return {
+            clearBonus: cleared ? Math.max(0, levelScore) * (this.clearMultiplier - 1) : 0,
+            timeBonus: Number.isFinite(timeLeft) ? Math.floor(Math.max(0, timeLeft)) * this.timeBonus : 0,
+            shotBonus: Number.isFinite(shotsLeft) ? Math.max(0, shotsLeft) * this.shotBonus : 0
+        };
+    }
+
+    toJSON() {
+        return Object.fromEntries(SCORING_RULE_KEYS.map(key => [key, this[key]]));
+    }
+}
+
+// Settings for a level of a difficulty tier. Level 1 uses the tier's own
+// { rowsToStart, colors, addRowFrequency }; each level after it starts one row
+// deeper, and every second level adds a color and allows one miss fewer
+// before a new row is pushed.
+function getLevelSettings(base, level) {
+    const step = Math.max(0, level - 1);
+    return {
+        ...base,
+        rowsToStart: Math.min(base.rowsToStart + step, MAX_START_ROWS),
+        colors: Math.min(base.colors + Math.floor(step / 2), BUBBLE_COLORS.length),
+        addRowFrequency: Math.max(2, base.addRowFrequency - Math.floor(step / 2))
+    };
+}
+
+// Bubble size and hexagonal grid layout. The constants above are the defaults;
+// pass overrides for a wider or taller board or smaller bubbles, e.g.
+// new BoardGeometry({ bubbleRadius: 14, rows: 14, cols: 18, maxWidth: 540 })
+class BoardGeometry {
+    constructor(options = {}) {
+        const radius = options.bubbleRadius || BUBBLE_RADIUS;
+        
+        this.bubbleRadius = radius;
+        this.rows = options.rows || GRID_ROWS;
+        this.cols = options.cols || GRID_COLS;
+        this.colSpacing = options.colSpacing || radius * 2; // Bubble diameter for touching neighbours
+        this.rowHeight = options.rowHeight || radius * Math.sqrt(3); // √3 * radius for a true hexagonal grid
+        this.hexOffset = options.hexOffset !== undefined ? options.hexOffset : radius; // Odd rows shift right
+        this.topMargin = options.topMargin !== undefined ? options.topMargin : radius * 2;
+        this.maxWidth = options.maxWidth || MAX_CANVAS_WIDTH; // Columns beyond the canvas width stay unused
+        
+        if (!(radius > 0) || !(this.colSpacing > 0) || !(this.rowHeight > 0)) {
+            throw new Error('Board geometry needs a positive bubble radius and spacing');
+        }
+        if (!Number.isInteger(this.rows) || !Number.isInteger(this.cols) || this.rows < 2 || this.cols < 1) {
+            throw new Error('Board geometry needs whole numbers of rows (2+) and columns');
+        }
+    }
+
+    // Accepts a BoardGeometry, its JSON or null for the defaults
+    static from(value) {
+        return value instanceof BoardGeometry ? value : new BoardGeometry(value || {});
+    }
+
+    // Columns that fit on a board of the given width
+    colsFor(width) {
+        return Math.min(this.cols, Math.floor((width - this.bubbleRadius * 2) / this.colSpacing));
+    }
+
+    // Board width that fits every column
+    get naturalWidth() {
+        return this.cols * this.colSpacing + this.bubbleRadius * 2;
+    }
+
+    // Height of the grid area; a bubble in its last row loses the game
+    get gridHeight() {
+        return this.rows * this.rowHeight + this.topMargin;
+    }
+
+    getColPosition(row, col) {
+        // For odd rows, offset by half the column spacing for perfect hexagonal alignment
+        const offsetX = row % 2 === 1 ? this.hexOffset : 0;
+        return col * this.colSpacing + this.bubbleRadius + offsetX;
+    }
+
+    getRowPosition(row) {
+        return row * this.rowHeight + this.topMargin;
+    }
+
+    // Nearest row and column to a point, ignoring the odd-row offset - good
+    // enough to narrow down which cells to check
+    approximateCell(x, y) {
+        return {
+            row: Math.round((y - this.topMargin) / this.rowHeight),
+            col: Math.round((x - this.bubbleRadius) / this.colSpacing)
+        };
+    }
+
+    contains(row, col) {
+        return row >= 0 && row < this.rows && col >= 0 && col < this.cols;
+    }
+
+    toJSON() {
+        return {
+            bubbleRadius: this.bubbleRadius,
+            rows: this.rows,
+            cols: this.cols,
+            colSpacing: this.colSpacing,
+            rowHeight: this.rowHeight,
+            hexOffset: this.hexOffset,
+            topMargin: this.topMargin,
+            maxWidth: this.maxWidth
+        };
+    }
+}
+
+
+// Seedable pseudo-random generator (mulberry32). Every gameplay decision - board
+// fill, new rows, shooter colors - draws from one instance owned by the game, so
+// the same seed and the same shots always replay the same game.
+class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.reset(seed);
+    }
+
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    // Accepts numbers or any text; text is hashed (FNV-1a) so "daily-42" is a valid seed
+    static normalizeSeed(value) {
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return Math.floor(value) >>> 0;
+        }
+        
+        const text = String(value).trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+        
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    reset(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    // Uniform float in [0, 1), drop-in for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    pick(items) {
+        return items[this.nextInt(items.length)];
+    }
+}
+
+// Compact record of one game: the seed and settings that build the board (and the
+// level file, if one was played), plus every shot as [simulation tick, angle],
+// every undo and hint as [tick, shots fired before it] and every swap or hold as
+// [tick, shots fired before it, 'swap' | 'hold']. Re-running the fixed-step simulation
+// from the seed and firing each input on its tick reproduces the game exactly.
+const REPLAY_FORMAT_VERSION = 11; // 2: swept collision; 3: levels and per-level miss limits; 4: bombs; 5: rainbow wildcards; 6: lightning and paint; 7: preview queues and swaps; 8: shooter colors from the board; 9: combo multipliers change how a log plays out; 10: time and shot bonuses from scoring rules; 11: dud bombs and lightning score nothing
+
+class ReplayLog {
+    constructor({ seed, mode, difficulty, width, height, geometry = null, level = null, shots = [], undos = [], hints = [], swaps = [], endTick = 0 }) {
+        this.seed = seed;
+        this.mode = mode;
+        this.difficulty = difficulty;
+        this.width = width; // Board size matters: walls and buckets decide where bubbles go
+        this.height = height;
+        this.geometry = geometry; // BoardGeometry JSON, null for the default board
+        this.level = level; // LevelDefinition JSON, null for a random board
+        this.shots = shots;
+        this.undos = undos; // Strategy-mode undos; the shot count keeps them ordered with the shots
+        this.hints = hints; // Hints taken, which cost points; ordered the same way
+        this.swaps = swaps; // Swaps and holds, in the order they were made
+        this.endTick = endTick; // Last simulated tick, so playback knows how long the game ran
+    }
+
+    recordShot(tick, angle) {
+        this.shots.push([tick, angle]);
+        this.endTick = Math.max(this.endTick, tick);
+    }
+
+    recordUndo(tick) {
+        this.undos.push([tick, this.shots.length]);
+        this.endTick = Math.max(this.endTick, tick);
+    }
+
+    recordHint(tick) {
+        this.hints.push([tick, this.shots.length]);
+        this.endTick = Math.max(this.endTick, tick);
+    }
+
+    // move: 'swap' or 'hold'; both go in one list since their order changes the queue
+    recordSwap(tick, move) {
+        this.swaps.push([tick, this.shots.length, move]);
+        this.endTick = Math.max(this.endTick, tick);
+    }
+
+    toJSON() {
+        return {
+            version: REPLAY_FORMAT_VERSION,
+            seed: this.seed,
+            mode: this.mode,
+            difficulty: this.difficulty,
+            width: this.width,
+            height: this.height,
+            geometry: this.geometry,
+            level: this.level,
+            shots: this.shots,
+            undos: this.undos,
+            hints: this.hints,
+            swaps: this.swaps,
+            endTick: this.endTick
+        };
+    }
+
+    // Builds a log from exported JSON text, rejecting files this version cannot replay
+    static parse(text) {
+        const data = typeof text === 'string' ? JSON.parse(text) : text;
+        
+        if (!data || data.version !== REPLAY_FORMAT_VERSION) {
+            throw new Error(`Unsupported replay version: ${data && data.version}`);
+        }
+        if (!Number.isInteger(data.seed) || !(data.width > 0) || !(data.height > 0)) {
+            throw new Error('Replay is missing its seed or board size');
+        }
+        if (!Array.isArray(data.shots) || !data.shots.every(shot =>
+            Array.isArray(shot) && Number.isInteger(shot[0]) && Number.isFinite(shot[1]))) {
+            throw new Error('Replay shots must be [tick, angle] pairs');
+        }
+        const undos = data.undos || []; // Logs recorded before undo existed have none
+        const hints = data.hints || []; // Nor before hints
+        const swaps = data.swaps || [];
+        const isTickPair = pair => Array.isArray(pair) && Number.isInteger(pair[0]) && Number.isInteger(pair[1]);
+        if (!Array.isArray(undos) || !undos.every(isTickPair)) {
+            throw new Error('Replay undos must be [tick, shot count] pairs');
+        }
+        if (!Array.isArray(hints) || !hints.every(isTickPair)) {
+            throw new Error('Replay hints must be [tick, shot count] pairs');
+        }
+        if (!Array.isArray(swaps) || !swaps.every(swap => isTickPair(swap) && ['swap', 'hold'].includes(swap[2]))) {
+            throw new Error("Replay swaps must be [tick, shot count, 'swap' | 'hold'] entries");
+        }
+        
+        return new ReplayLog({
+            ...data,
+            geometry: data.geometry ? new BoardGeometry(data.geometry).toJSON() : null, // Throws if invalid
+            level: data.level ? LevelDefinition.parse(data.level).toJSON() : null,
+            shots: data.shots.map(([tick, angle]) => [tick, angle]),
+            undos: undos.map(([tick, shotCount]) => [tick, shotCount]),
+            hints: hints.map(([tick, shotCount]) => [tick, shotCount]),
+            swaps: swaps.map(([tick, shotCount, move]) => [tick, shotCount, move])
+        });
+    }
+}
+
+// Authored boards. A level file is JSON:
+//
+//   {
+//     "version": 1,
+//     "name": "Twin Peaks",
+//     "geometry": { "rows": 10 },                        // optional BoardGeometry options
+//     "legend": { "S": { "type": "stone" }, "I": { "color": "#FF6B6B", "type": "ice", "hits": 2 } }, // optional, adds to LEVEL_LEGEND
+//     "grid": ["RRTT", ".BB.", "..Y"],                   // a string per row, a character per column, '.' empty
+//     "shooter": { "sequence": "RTB", "pool": "RTBY" }, // loaded in order first, then random from the pool
+//     "rules": { "mode": "strategy", "shotLimit": 20, "missesPerRow": 5, "scoring": { "popPoints": 20 } },
+//     "objectives": [{ "type": "clear" }, { "type": "score", "target": 500 }, { "type": "pop", "color": "R", "count": 6 }]
+//   }
+//
+// Everything but version and grid is optional. shotLimit needs mode "strategy",
+// timeLimit (seconds) mode "arcade"; missesPerRow 0 never pushes a new row. The
+// level is won once every objective is met. scoring overrides the mode's
+// ScoringRules (any of SCORING_RULE_KEYS). Cell types besides plain bubbles are
+// rainbow wildcards, stones (never pop, only fall) and ice (hits pops next to it
+// before it matches, 1 by default).
+const LEVEL_FORMAT_VERSION = 1;
+const LEVEL_EMPTY_CELL = '.';
+const LEVEL_LEGEND = { R: '#FF6B6B', T: '#4ECDC4', B: '#1E3A8A', G: '#00FF88', Y: '#FECA57', P: '#FF9FF3' }; // One letter per BUBBLE_COLORS entry
+const BUBBLE_TYPES = ['normal', 'rainbow', 'stone', 'ice']; // Cell types a level may place; special bubbles add theirs here
+const STONE_COLOR = '#636E72'; // Stones in a legend need no color of their own
+const LEVEL_MODES = ['classic', 'arcade', 'strategy'];
+const LEVEL_OBJECTIVES = ['clear', 'score', 'pop'];
+
+class LevelDefinition {
+    constructor({ name = 'Untitled', geometry = null, grid, sequence = [], pool = [], rules = {}, objectives = [{ type: 'clear' }] }) {
+        this.name = name;
+        this.geometry = geometry; // BoardGeometry JSON, null for the default board
+        this.grid = grid; // geometry.rows x geometry.cols of null or { color, type, hits (ice only) }
+        this.sequence = sequence; // Colors the shooter loads first, in order
+        this.pool = pool.length > 0 ? pool : LevelDefinition.colorsIn(grid); // Random colors once the sequence runs out
+        this.rules = { mode: 'classic', shotLimit: null, timeLimit: null, missesPerRow: MISSED_SHOTS_LIMIT, ...rules };
+        this.objectives = objectives; // { type: 'clear' } | { type: 'score', target } | { type: 'pop', count, color? }
+    }
+
+    // Distinct colors of the plain and iced bubbles on a grid, or every color for none
+    static colorsIn(grid) {
+        const colors = new Set();
+        grid.forEach(cells => cells.forEach(cell => cell && ['normal', 'ice'].includes(cell.type) && colors.add(cell.color)));
+        return colors.size > 0 ? [...colors] : BUBBLE_COLORS.slice();
+    }
+
+    // Accepts a LevelDefinition, its JSON or JSON text
+    static from(value) {
+        return value instanceof LevelDefinition ? value : LevelDefinition.parse(value);
+    }
+
+    // Builds a level from a level file, rejecting anything the board cannot hold
+    static parse(text) {
+        const data = typeof text === 'string' ? JSON.parse(text) : text;
+        
+        if (!data || data.version !== LEVEL_FORMAT_VERSION) {
+            throw new Error(`Unsupported level version: ${data && data.version}`);
+        }
+        const geometry = new BoardGeometry(data.geometry || {}); // Throws if invalid
+        
+        const legend = {};
+        Object.entries({ ...LEVEL_LEGEND, ...data.legend }).forEach(([key, value]) => {
+            const cell = typeof value === 'string' ? { color: value, type: 'normal' } : { type: 'normal', ...value };
+            if (cell.type === 'stone' && cell.color === undefined) {
+                cell.color = STONE_COLOR;
+            }
+            if (key.length !== 1 || key === LEVEL_EMPTY_CELL) {
+                throw new Error(`Legend keys must be single characters other than '${LEVEL_EMPTY_CELL}': "${key}"`);
+            }
+            if (!/^#[0-9a-f]{6}$/i.test(cell.color)) {
+                throw new Error(`Legend entry '${key}' needs a #rrggbb color`);
+            }
+            if (!BUBBLE_TYPES.includes(cell.type)) {
+                throw new Error(`Legend entry '${key}' has unknown type "${cell.type}"`);
+            }
+            if (cell.type === 'ice' && cell.hits !== undefined && !(Number.isInteger(cell.hits) && cell.hits > 0)) {
+                throw new Error(`Legend entry '${key}' needs a positive whole number of hits`);
+            }
+            legend[key] = cell.type === 'ice'
+                ? { color: cell.color, type: cell.type, hits: cell.hits || 1 }
+                : { color: cell.color, type: cell.type };
+        });
+        const colorOf = (key, where) => {
+            if (!legend[key]) throw new Error(`Unknown ${where} '${key}'`);
+            return legend[key].color;
+        };
+        
+        // The last row is the lose line, and columns past the widest board would never show
+        const maxCols = geometry.colsFor(geometry.maxWidth);
+        if (!Array.isArray(data.grid) || !data.grid.every(line => typeof line === 'string')) {
+            throw new Error('Level grid must be an array of strings');
+        }
+        if (data.grid.length >= geometry.rows) {
+            throw new Error(`Level grid has ${data.grid.length} rows, the board allows ${geometry.rows - 1}`);
+        }
+        const grid = [];
+        for (let row = 0; row < geometry.rows; row++) {
+            const line = data.grid[row] || '';
+            if (line.length > maxCols) {
+                throw new Error(`Level grid row ${row} has ${line.length} columns, the board fits ${maxCols}`);
+            }
+            grid.push([]);
+            for (let col = 0; col < geometry.cols; col++) {
+                const key = line[col] || LEVEL_EMPTY_CELL;
+                if (key !== LEVEL_EMPTY_CELL && !legend[key]) {
+                    throw new Error(`Unknown cell '${key}' at row ${row}, column ${col}`);
+                }
+                grid[row].push(key === LEVEL_EMPTY_CELL ? null : { ...legend[key] });
+            }
+        }
+        
+        // Every bubble has to hang from the top row, or it would drop at the first pop
+        const board = new Board({ geometry, width: geometry.maxWidth });
+        board.loadGrid(grid);
+        const floating = board.findFloatingBubbles();
+        if (floating.length > 0) {
+            throw new Error(`Bubble at row ${floating[0].row}, column ${floating[0].col} is not connected to the top`);
+        }
+        
+        const shooter = data.shooter || {};
+        const sequence = [...(shooter.sequence || '')].map(key => colorOf(key, 'shooter color'));
+        const pool = [...(shooter.pool || '')].map(key => colorOf(key, 'shooter color'));
+        
+        const rules = { ...data.rules };
+        if (rules.mode !== undefined && !LEVEL_MODES.includes(rules.mode)) {
+            throw new Error(`Unknown level mode "${rules.mode}"`);
+        }
+        if (rules.shotLimit != null && (rules.mode !== 'strategy' || !(Number.isInteger(rules.shotLimit) && rules.shotLimit > 0))) {
+            throw new Error('shotLimit must be a positive whole number in strategy mode');
+        }
+        if (rules.timeLimit != null && (rules.mode !== 'arcade' || !(rules.timeLimit > 0))) {
+            throw new Error('timeLimit must be a positive number of seconds in arcade mode');
+        }
+        if (rules.missesPerRow !== undefined && !(Number.isInteger(rules.missesPerRow) && rules.missesPerRow >= 0)) {
+            throw new Error('missesPerRow must be a whole number (0 for no new rows)');
+        }
+        if (rules.scoring !== undefined) {
+            if (!rules.scoring || typeof rules.scoring !== 'object' || Array.isArray(rules.scoring)) {
+                throw new Error('scoring must be an object of scoring rules');
+            }
+            new ScoringRules(rules.scoring); // Throws if invalid
+            rules.scoring = { ...rules.scoring };
+        }
+        
+        const objectives = data.objectives || [{ type: 'clear' }];
+        if (!Array.isArray(objectives) || objectives.length === 0) {
+            throw new Error('Level needs at least one objective');
+        }
+        objectives.forEach(objective => {
+            if (!LEVEL_OBJECTIVES.includes(objective.type)) {
+                throw new Error(`Unknown objective "${objective.type}"`);
+            }
+            if (objective.type === 'score' && !(Number.isInteger(objective.target) && objective.target > 0)) {
+                throw new Error('Score objective needs a positive target');
+            }
+            if (objective.type === 'pop' && !(Number.isInteger(objective.count) && objective.count > 0)) {
+                throw new Error('Pop objective needs a positive count');
+            }
+        });
+        
+        return new LevelDefinition({
+            name: typeof data.name === 'string' && data.name ? data.name : undefined,
+            geometry: data.geometry ? geometry.toJSON() : null,
+            grid,
+            sequence,
+            pool,
+            rules,
+            objectives: objectives.map(objective => objective.type === 'pop' && objective.color
+                ? { type: 'pop', count: objective.count, color: colorOf(objective.color, 'objective color') }
+                : { ...objective })
+        });
+    }
+
+    // Back to the file format; colors outside LEVEL_LEGEND get extra legend letters
+    toJSON() {
+        const keys = new Map();
+        const legend = {};
+        Object.entries(LEVEL_LEGEND).forEach(([key, color]) => keys.set(`${color}/normal/`, key));
+        const keyOf = cell => {
+            const id = `${cell.color}/${cell.type || 'normal'}/${cell.hits || ''}`;
+            if (!keys.has(id)) {
+                const key = 'abcdefghijklmnopqrstuvwxyz0123456789'[keys.size - Object.keys(LEVEL_LEGEND).length];
+                keys.set(id, key);
+                legend[key] = { color: cell.color, type: cell.type || 'normal', ...(cell.hits ? { hits: cell.hits } : {}) };
+            }
+            return keys.get(id);
+        };
+        
+        const grid = this.grid.map(cells => cells.map(cell => cell ? keyOf(cell) : LEVEL_EMPTY_CELL).join('').replace(/\.+$/, ''));
+        while (grid.length > 0 && grid[grid.length - 1] === '') {
+            grid.pop();
+        }
+        
+        return {
+            version: LEVEL_FORMAT_VERSION,
+            name: this.name,
+            ...(this.geometry ? { geometry: this.geometry } : {}),
+            legend,
+            grid,
+            shooter: {
+                sequence: this.sequence.map(color => keyOf({ color })).join(''),
+                pool: this.pool.map(color => keyOf({ color })).join('')
+            },
+            rules: { ...this.rules },
+            objectives: this.objectives.map(objective => objective.color
+                ? { ...objective, color: keyOf({ color: objective.color }) }
+                : { ...objective })
+        };
+    }
+}
+
+// Candidate shots on a board and what they do, played on throwaway copies with the
+// real trajectory (CollisionPredictor.traceShot) and board rules
+// (Board.snapBubbleToGrid). Different aims that land in the same cell count as one
+// shot. Shared by LevelSolver and the bots.
+class ShotPlanner {
+    // options: { x, y (the shooter), angles, restitution }
+    constructor(geometry, options = {}) {
+        this.geometry = BoardGeometry.from(geometry);
+        this.x = options.x;
+        this.y = options.y;
+        this.restitution = options.restitution || WALL_RESTITUTION;
+        this.predictor = new CollisionPredictor(this.geometry);
+        
+        // Straight up first, so each cell keeps its most direct aim
+        const count = options.angles || 64; // Aim directions tried per shot
+        this.angles = Array.from({ length: count }, (_, i) => -Math.PI * (i + 0.5) / count)
+            .sort((a, b) => Math.abs(a + Math.PI / 2) - Math.abs(b + Math.PI / 2));
+    }
+
+    // Every distinct landing cell: [{ angle, row, col, contact, wallBounced }]
+    landings(board) {
+        const landings = new Map();
+        for (const angle of this.angles) {
+            const { points, cell, wallBounces } = this.predictor.traceShot(board, this.x, this.y, angle, { restitution: this.restitution });
+            const key = cell && `${cell.row},${cell.col}`;
+            if (cell && !landings.has(key)) {
+                landings.set(key, { angle, row: cell.row, col: cell.col, contact: points[points.length - 1], wallBounced: wallBounces > 0 });
+            }
+        }
+        return Array.from(landings.values());
+    }
+
+    // A shot of `color` (and special `type`, see loadShot) into a landing on a copy of
+    // the board: { board, result, points }, or null if the bubble found no cell
+    play(board, landing, color, type = 'normal') {
+        const next = this.copyBoard(board);
+        const result = next.snapBubbleToGrid({
+            x: landing.contact.x,
+            y: landing.contact.y,
+            color,
+            type,
+            wallBounced: landing.wallBounced,
+            radius: this.geometry.bubbleRadius
+        });
+        return result && { board: next, result, points: next.score };
+    }
+
+    // Grid, miss counter and combo only; the copy's score counts from zero
+    copyBoard(board) {
+        const copy = new Board({
+            geometry: board.geometry,
+            width: board.width,
+            missLimit: board.missLimit,
+            bombRadius: board.bombRadius,
+            scoring: board.scoring
+        });
+        copy.loadGrid(board.serializeGrid());
+        copy.missedShots = board.missedShots;
+        copy.combo = board.combo;
+        return copy;
+    }
+}
+
+// Searches shot sequences for the fewest shots that clear a level, trying every
+// distinct landing cell (see ShotPlanner). Shots take the level's sequence in order;
+// past its end the solver may pick any pool color, which makes the answer a best
+// case (reported as usedPoolColors). A shot that pushes a new row or reaches the
+// lose line is a dead end, since new rows bring random colors.
+class LevelSolver {
+    // options: { width, shooterY, angles, maxShots, maxNodes }
+    constructor(level, options = {}) {
+        this.level = LevelDefinition.from(level);
+        this.geometry = BoardGeometry.from(this.level.geometry);
+        this.width = options.width || this.geometry.maxWidth;
+        this.shooterX = this.width / 2;
+        this.shooterY = options.shooterY || this.width * 1.6 - 100; // Where Game puts the shooter on a full-size canvas
+        this.maxShots = options.maxShots || this.level.rules.shotLimit || 10;
+        this.maxNodes = options.maxNodes || 20000; // Boards explored before giving up
+        this.planner = new ShotPlanner(this.geometry, { x: this.shooterX, y: this.shooterY, angles: options.angles });
+    }
+
+    // { solvable: true | false | null (search budget ran out), shots, solution:
+    // [{ angle, color, row, col, fromPool }], nodes, usedPoolColors }
+    solve() {
+        const board = this.createBoard(this.level.grid, 0); // Level cells keep stones, ice hits and rainbows
+        this.nodes = 0;
+        
+        if (board.countBubbles() === 0) {
+            return this.result(true, []);
+        }
+        
+        // Iterative deepening, so the first solution found uses the fewest shots
+        for (let depth = 1; depth <= this.maxShots; depth++) {
+            this.searched = new Map(); // Board key -> shots left when it was searched
+            const solution = this.search(board, 0, depth);
+            if (solution) {
+                return this.result(true, solution);
+            }
+            if (this.nodes >= this.maxNodes) {
+                return this.result(null, null);
+            }
+        }
+        return this.result(false, null);
+    }
+
+    result(solvable, solution) {
+        return {
+            solvable,
+            shots: solution ? solution.length : null,
+            solution: solution && solution.map(({ contact, ...shot }) => shot), // Callers need the aim and the cell
+            nodes: this.nodes,
+            usedPoolColors: !!solution && solution.some(shot => shot.fromPool)
+        };
+    }
+
+    search(board, shotIndex, shotsLeft) {
+        if (this.nodes >= this.maxNodes) return null;
+        this.nodes++;
+        
+        const key = `${shotIndex}|${board.missedShots}|${JSON.stringify(board.serializeGrid())}`;
+        if (this.searched.get(key) >= shotsLeft) return null;
+        this.searched.set(key, shotsLeft);
+        
+        // Try the shots that leave the fewest bubbles first
+        const children = this.moves(board, shotIndex)
+            .map(move => ({ move, next: this.play(board, move) }))
+            .filter(child => child.next)
+            .sort((a, b) => a.next.countBubbles() - b.next.countBubbles());
+        
+        for (const { move, next } of children) {
+            if (next.countBubbles() === 0) {
+                return [move];
+            }
+            if (shotsLeft > 1) {
+                const rest = this.search(next, shotIndex + 1, shotsLeft - 1);
+                if (rest) return [move, ...rest];
+            }
+        }
+        return null;
+    }
+
+    // Every distinct landing cell for every color the shot could have
+    moves(board, shotIndex) {
+        const { sequence, pool } = this.level;
+        const fromPool = shotIndex >= sequence.length;
+        const colors = fromPool ? pool : [sequence[shotIndex]];
+        
+        const moves = [];
+        this.planner.landings(board).forEach(landing => colors.forEach(color => moves.push({ ...landing, color, fromPool })));
+        return moves;
+    }
+
+    // The board after a shot, or null for a dead end
+    play(board, move) {
+        const outcome = this.planner.play(board, move, move.color);
+        if (!outcome || outcome.board.pendingNewRow || outcome.board.hasReachedBottom()) {
+            return null;
+        }
+        return outcome.board;
+    }
+
+    createBoard(cells, missedShots) {
+        const board = new Board({
+            geometry: this.geometry,
+            width: this.width,
+            missLimit: this.level.rules.missesPerRow || Infinity
+        });
+        board.loadGrid(cells);
+        board.missedShots = missedShots;
+        return board;
+    }
+}
+
+// How bots weigh a shot's outcome besides the points it scores
+const BOT_GROUP_VALUE = 4; // Per same-color neighbour of a bubble that did not pop
+const BOT_ROW_COST = 1; // Per row down the board the bubble lands
+const BOT_NEW_ROW_COST = 30; // The shot pushes a new row
+const BOT_CLEAR_VALUE = 500; // The shot clears the board
+const BOT_LOSE_VALUE = -10000; // The shot reaches the lose line
+
+// Shot-choosing players. chooseShot(state) gets { board, x, y, currentColor,
+// nextColor, currentType, nextType, restitution } - the board, the shooter's
+// position and its loaded shots - and returns the angle to fire at. Game.setBot hands a live game to one.
+// Both bots below try every distinct landing cell (see ShotPlanner).
+
+// Takes the shot worth the most right now
+class GreedyBot {
+    // options: { angles, delay (seconds the aim is shown before each shot) }
+    constructor(options = {}) {
+        this.angles = options.angles || 48;
+        this.delay = options.delay === undefined ? 0.5 : options.delay;
+    }
+
+    chooseShot(state) {
+        const best = this.rankShots(state, state.board, state.currentColor, state.currentType)[0];
+        return best ? best.angle : -Math.PI / 2; // Nowhere to land: straight up
+    }
+
+    // Every distinct shot of `color` (and special `type`) into `board`, best first:
+    // [{ angle, row, col, outcome (ShotPlanner.play), value }]
+    rankShots(state, board, color, type = 'normal') {
+        const planner = new ShotPlanner(board.geometry, {
+            x: state.x,
+            y: state.y,
+            angles: this.angles,
+            restitution: state.restitution
+        });
+        return planner.landings(board)
+            .map(landing => ({ ...landing, outcome: planner.play(board, landing, color, type) }))
+            .filter(shot => shot.outcome)
+            .map(shot => ({ ...shot, value: this.evaluate(shot, color) }))
+            .sort((a, b) => b.value - a.value);
+    }
+
+    evaluate({ row, col, outcome }, color) {
+        const { board, result, points } = outcome;
+        if (board.hasReachedBottom()) {
+            return BOT_LOSE_VALUE;
+        }
+        
+        let value = points - row * BOT_ROW_COST;
+        if (result.popped.length === 0) {
+            // A bubble that stays is better next to its own color, ready for the next match
+            const group = board.getNeighborPositions(row, col).filter(([r, c]) => {
+                const neighbor = board.gridBubbles[r] && board.gridBubbles[r][c];
+                return neighbor && ((neighbor.type === 'normal' && neighbor.color === color) || neighbor.type === 'rainbow');
+            });
+            value += group.length * BOT_GROUP_VALUE;
+        }
+        if (board.pendingNewRow) {
+            value -= BOT_NEW_ROW_COST;
+        }
+        if (board.countBubbles() === 0) {
+            value += BOT_CLEAR_VALUE;
+        }
+        return value;
+    }
+}
+
+// Plans two shots ahead: each of the greedy bot's best few shots is scored
+// together with the best follow-up of the next color
+class LookaheadBot extends GreedyBot {
+    // options: GreedyBot's plus { breadth (shots followed up), discount (weight of the follow-up) }
+    constructor(options = {}) {
+        super(options);
+        this.breadth = options.breadth || 6;
+        this.discount = options.discount === undefined ? 0.9 : options.discount;
+    }
+
+    chooseShot(state) {
+        const nextColor = state.nextColor || state.currentColor;
+        const nextType = state.nextColor ? state.nextType : state.currentType;
+        let best = null;
+        
+        this.rankShots(state, state.board, state.currentColor, state.currentType).slice(0, this.breadth).forEach(shot => {
+            const board = shot.outcome.board;
+            const followUp = shot.value > BOT_LOSE_VALUE && board.countBubbles() > 0
+                ? this.rankShots(state, board, nextColor, nextType)[0]
+                : null;
+            const value = shot.value + (followUp ? followUp.value * this.discount : 0);
+            if (!best || value > best.value) {
+                best = { angle: shot.angle, value };
+            }
+        });
+        return best ? best.angle : -Math.PI / 2;
+    }
+}
+
+// Bots by name, e.g. for a menu or the command line
+const BOT_TYPES = { greedy: GreedyBot, lookahead: LookaheadBot };
+
+// Plays whole games without a canvas, for balancing runs (simulate.js). A bot
+// shoots under Game's rules for levels, misses, new rows, shot and time budgets and
+// the lose line. Shots land where a live game puts them and the seeded generator is
+// drawn in the same order, so a bot given the same seed and canvas size in a live
+// game plays the same game. Dropped bubbles score the bucket below them once they
+// have fallen, which is after a level-complete check, as in Game.
+class GameSimulation {
+    // options: { difficulty, mode, seed, bot, geometry, width, height, shotInterval, maxShots }
+    constructor(options = {}) {
+        this.difficulty = options.difficulty || 'novice';
+        this.mode = options.mode || 'classic';
+        this.seed = options.seed !== undefined ? SeededRandom.normalizeSeed(options.seed) : SeededRandom.randomSeed();
+        this.bot = options.bot || new GreedyBot();
+        this.geometry = BoardGeometry.from(options.geometry);
+        this.width = options.width || this.geometry.maxWidth;
+        this.height = options.height || this.width * 1.6; // Game's portrait canvas
+        this.shotInterval = options.shotInterval === undefined ? 1 : options.shotInterval; // Seconds spent aiming each shot
+        this.maxShots = options.maxShots || 1000; // Games still going after this many shots are stopped
+        this.predictor = new CollisionPredictor(this.geometry);
+    }
+
+    // { seed, difficulty, mode, end: 'won' | 'bottom' | 'shots' | 'time' | 'stopped',
+    // won, level, shots, score, breakdown, seconds, rowsAdded }
+    run() {
+        this.random = new SeededRandom(this.seed);
+        this.scoring = ScoringRules.forMode(this.mode);
+        this.board = new Board({ geometry: this.geometry, width: this.width, random: this.random, scoring: this.scoring });
+        this.shots = 0;
+        this.seconds = 0;
+        this.rowsAdded = 0;
+        this.setupLevel(1);
+        
+        // The shooter loads from the colors on the board and draws its preview queue
+        // in the same order as Shooter; bots never swap or hold
+        const shooter = { x: this.width / 2, y: this.height - 100 };
+        const { specials = {}, queueLength = 1 } = DIFFICULTY_SETTINGS[this.difficulty];
+        let pool = shooterPool(this.board, this.colors);
+        let current = loadShot(this.random, pool, specials);
+        const queue = Array.from({ length: queueLength }, () => loadShot(this.random, pool, specials));
+        
+        while (this.shots < this.maxShots) {
+            if (!this.spendTime(this.shotInterval)) return this.result('time');
+            
+            const angle = this.bot.chooseShot({
+                board: this.board,
+                ...shooter,
+                currentColor: current.color,
+                nextColor: queue[0].color,
+                currentType: current.type,
+                nextType: queue[0].type,
+                restitution: WALL_RESTITUTION
+            });
+            const shot = current;
+            queue.push(loadShot(this.random, pool, specials));
+            current = queue.shift();
+            this.shots++;
+            
+            // Game ends on the last strategy shot before that bubble lands
+            if (this.mode === 'strategy' && --this.shotsLeft <= 0) return this.result('shots');
+            
+            const { points, time, wallBounces } = this.predictor.traceShot(this.board, shooter.x, shooter.y, angle);
+            if (!this.spendTime(time)) return this.result('time');
+            
+            const contact = points[points.length - 1];
+            const snap = this.board.snapBubbleToGrid({
+                x: contact.x,
+                y: contact.y,
+                ...shot,
+                wallBounced: wallBounces > 0,
+                radius: this.geometry.bubbleRadius
+            });
+            const reward = rewardFor(snap);
+            if (reward) {
+                queue[0] = { color: SPECIAL_SHOT_COLORS[reward], type: reward };
+            }
+            
+            if (this.board.pendingNewRow) {
+                this.board.addNewRow(this.colors);
+                this.board.missedShots = 0;
+                this.board.pendingNewRow = false;
+                this.rowsAdded++;
+                if (this.board.hasReachedBottom()) return this.result('bottom');
+            }
+            
+            if (this.board.countBubbles() === 0) {
+                const bonuses = this.scoring.levelBonuses({
+                    levelScore: this.board.score - this.levelStartScore,
+                    cleared: true,
+                    timeLeft: this.mode === 'arcade' ? this.timeLeft : undefined,
+                    shotsLeft: this.mode === 'strategy' ? this.shotsLeft : undefined
+                });
+                Object.entries(bonuses).forEach(([source, points]) => {
+                    if (points) this.board.addScore(source, points);
+                });
+                if (this.level >= LEVEL_COUNT) return this.result('won');
+                this.board.missedShots = 0;
+                this.setupLevel(this.level + 1);
+            }
+            if (this.board.hasReachedBottom()) return this.result('bottom');
+            
+            // Same point as Game: once the board has settled after the shot
+            pool = shooterPool(this.board, this.colors);
+            rerollShots(this.random, [current, ...queue], pool);
+            
+            if (snap) {
+                snap.dropped.forEach(bubble => {
+                    this.board.addScore('buckets', this.bucketFor(bubble.x));
+                });
+            }
+        }
+        return this.result('stopped');
+    }
+
+    setupLevel(level) {
+        const settings = getLevelSettings(DIFFICULTY_SETTINGS[this.difficulty], level);
+        this.level = level;
+        this.levelStartScore = this.board.score;
+        this.colors = BUBBLE_COLORS.slice(0, settings.colors);
+        this.board.missLimit = settings.addRowFrequency;
+        this.board.fill(Math.min(settings.rowsToStart, this.geometry.rows - 2), this.colors);
+        this.shotsLeft = STRATEGY_SHOTS;
+        this.timeLeft = ARCADE_TIME;
+    }
+
+    // Arcade mode's clock; false once the time is up
+    spendTime(seconds) {
+        this.seconds += seconds;
+        if (this.mode !== 'arcade') return true;
+        this.timeLeft -= seconds;
+        return this.timeLeft > 0;
+    }
+
+    // Points of the bucket at x; buckets split the canvas width evenly
+    bucketFor(x) {
+        const buckets = this.scoring.buckets;
+        const index = Math.floor(x / (this.width / buckets.length));
+        return buckets[Math.max(0, Math.min(buckets.length - 1, index))];
+    }
+
+    result(end) {
+        return {
+            seed: this.seed,
+            difficulty: this.difficulty,
+            mode: this.mode,
+            end,
+            won: end === 'won',
+            level: this.level,
+            shots: this.shots,
+            score: this.board.score,
+            breakdown: { ...this.board.scoreBreakdown },
+            seconds: this.seconds,
+            rowsAdded: this.rowsAdded
+        };
+    }
+}
+
+// Lifecycle events fired by Game; each handler receives { type, ...details }
+const GAME_EVENTS = {
+    SHOT_FIRED: 'shotFired',           // { color, angle, tick }
+    BUBBLE_SNAPPED: 'bubbleSnapped',   // { row, col, color }
+    CLUSTER_POPPED: 'clusterPopped',   // { count, color, points }
+    AVALANCHE: 'avalanche',            // { count, points }
+    BOMB_EXPLODED: 'bombExploded',     // { row, col, count, points }
+    ICE_CRACKED: 'iceCracked',         // { count, thawed }
+    LIGHTNING_STRUCK: 'lightningStruck', // { row, count, points }
+    PAINT_SPLASHED: 'paintSplashed',   // { row, col, color, count }
+    SHOTS_SWAPPED: 'shotsSwapped',     // { move: 'swap' | 'hold', color, swapsLeft }
+    BUCKET_HIT: 'bucketHit',           // { label, points, color }
+    NEW_ROW_ADDED: 'newRowAdded',      // { }
+    MISSES_CHANGED: 'missesChanged',   // { missedShots, previous, limit, newRow (the limit was reached) }
+    LEVEL_COMPLETE: 'levelComplete',   // { level, score, levelScore, bonus (clear), timeBonus, shotBonus, shots }
+    HINT_SHOWN: 'hintShown',           // { row, col, angle, hintsLeft, idle }
+    GAME_WON: 'gameWon',               // { score, level, breakdown: [{ source, label, points }] }
+    GAME_OVER: 'gameOver'              // { score, reason: 'bottom' | 'time' | 'shots', breakdown }
+};
+
+// Minimal publish/subscribe so overlays and analytics can follow a game without
+// patching its methods
+class EventEmitter {
+    constructor() {
+        this.handlers = {};
+    }
+
+    // Returns a function that removes the handler again
+    on(type, handler) {
+        (this.handlers[type] = this.handlers[type] || []).push(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        const handlers = this.handlers[type];
+        if (handlers) {
+            this.handlers[type] = handlers.filter(h => h !== handler);
+        }
+    }
+
+    emit(type, details = {}) {
+        const handlers = this.handlers[type];
+        if (!handlers) return;
+        
+        // Copy so handlers may unsubscribe while the event is dispatched
+        for (const handler of handlers.slice()) {
+            try {
+                handler({ type, ...details });
+            } catch (error) {
+                // A broken subscriber must not stop the game loop
+                console.error(`Error in ${type} handler:`, error);
+            }
+        }
+    }
+}
+
+// Plain grid cell used when the board runs without the canvas Bubble class
+function createGridCell(x, y, color, row, col, radius = BUBBLE_RADIUS) {
+    return {
+        x, y, color, row, col,
+        type: 'normal',
+        radius,
+        vx: 0,
+        vy: 0,
+        stuck: true,
+        removing: false,
+        falling: false,
+        visited: false
+    };
+}
+
+// Headless board and rules engine - owns the grid and everything that decides
+// where bubbles land and what pops. No canvas, DOM or animation loop in here,
+// so it runs the same in the browser (wrapped by Game) and under plain Node.
+class Board {
+    constructor(options = {}) {
+        this.geometry = BoardGeometry.from(options.geometry);
+        this.width = options.width || this.geometry.naturalWidth;
+        this.debugLogger = options.debugLogger || new DebugLogger(false);
+        this.createBubble = options.createBubble || createGridCell;
+        this.random = options.random || new SeededRandom();
+        this.missLimit = options.missLimit || MISSED_SHOTS_LIMIT; // Misses before a new row is pushed
+        this.bombRadius = options.bombRadius || BOMB_RADIUS;
+        this.scoring = options.scoring || new ScoringRules(); // Point values (see ScoringRules)
+        this.reset();
+    }
+
+    reset() {
+        this.gridBubbles = [];
+        for (let row = 0; row < this.geometry.rows; row++) {
+            this.gridBubbles[row] = [];
+            for (let col = 0; col < this.geometry.cols; col++) {
+                this.gridBubbles[row][col] = null;
+            }
+        }
+        
+        this.score = 0;
+        this.scoreBreakdown = {}; // Points per SCORE_SOURCES key; they add up to the score
+        this.missedShots = 0;
+        this.combo = 0; // Successful shots in a row; a miss resets it
+        this.pendingNewRow = false; // Flag to defer addNewRow() until after flying bubble processing
+        this.bubblesCleared = 0;
+        this.totalBubbles = 0;
+        this.gridSnapsThisFrame = 0;
+    }
+
+    // Number of columns that fit inside the board width
+    getEffectiveCols() {
+        return this.geometry.colsFor(this.width);
+    }
+
+    fill(rowsToStart, colorSubset) {
+        const effectiveGridCols = this.getEffectiveCols();
+        
+        let bubblesCreated = 0;
+        for (let row = 0; row < rowsToStart; row++) {
+            for (let col = 0; col < effectiveGridCols; col++) {
+                // Skip some bubbles randomly for aesthetic reasons and to create more interesting patterns
+                if (this.random.next() < 0.85) {
+                    const x = this.getColPosition(row, col);
+                    const y = this.getRowPosition(row);
+                    
+                    // Ensure we don't place bubbles too close to the edge or overlapping
+                    if (x < this.geometry.bubbleRadius || x > this.width - this.geometry.bubbleRadius) {
+                        continue;
+                    }
+                    // Use wouldOverlapPrecise for robust overlap prevention
+                    if (this.wouldOverlapPrecise(x, y, row, col)) {
+                        continue;
+                    }
+                    
+                    // Create color clusters for more strategic gameplay
+                    let color;
+                    if (row > 0 && col > 0 && this.gridBubbles[row-1][col] && this.random.next() < 0.6) {
+                        color = this.gridBubbles[row-1][col].color;
+                    } else if (col > 0 && this.gridBubbles[row][col-1] && this.random.next() < 0.4) {
+                        color = this.gridBubbles[row][col-1].color;
+                    } else {
+                        color = this.random.pick(colorSubset);
+                    }
+                    
+                    this.placeBubble(row, col, color);
+                    bubblesCreated++;
+                }
+            }
+        }
+        
+        return bubblesCreated;
+    }
+
+    // type is a BUBBLE_TYPES entry, e.g. 'rainbow' for a wildcard
+    placeBubble(row, col, color, type = 'normal') {
+        const bubble = this.createBubble(
+            this.getColPosition(row, col), this.getRowPosition(row), color, row, col, this.geometry.bubbleRadius
+        );
+        bubble.type = type;
+        // CRITICAL FIX: Set stuck=true IMMEDIATELY after creation, before any other operations
+        bubble.stuck = true;
+        bubble.vx = 0; // Ensure no velocity
+        bubble.vy = 0; // Ensure no velocity
+        this.gridBubbles[row][col] = bubble;
+        this.totalBubbles++;
+        return bubble;
+    }
+
+    // Grid as rows of cells, e.g. for saved games: null for empty, the color for a
+    // plain bubble and describeCell() for any other type
+    serializeGrid() {
+        return this.gridBubbles.map(row => row.map(bubble => {
+            if (!bubble) return null;
+            return bubble.type && bubble.type !== 'normal' ? this.describeCell(bubble) : bubble.color;
+        }));
+    }
+
+    // A grid bubble as a level cell: { color, type }, plus hits for ice
+    describeCell(bubble) {
+        const type = bubble.type || 'normal';
+        return type === 'ice' ? { color: bubble.color, type, hits: bubble.hits } : { color: bubble.color, type };
+    }
+
+    // Replaces the grid with a LevelDefinition's cells. Throws when the level uses
+    // columns this board is too narrow to show.
+    loadLevel(level) {
+        const cols = this.getEffectiveCols();
+        level.grid.forEach(cells => cells.forEach((cell, col) => {
+            if (cell && col >= cols) {
+                throw new Error(`Level "${level.name}" uses ${col + 1} columns, the board only fits ${cols}`);
+            }
+        }));
+        this.loadGrid(level.grid);
+    }
+
+    // Replaces the grid with serializeGrid() output (or level cells, which are all
+    // { color, type }); score and counters are left alone
+    loadGrid(cells) {
+        for (let row = 0; row < this.geometry.rows; row++) {
+            for (let col = 0; col < this.geometry.cols; col++) {
+                this.gridBubbles[row][col] = null;
+                const cell = cells[row] && cells[row][col];
+                if (cell) {
+                    const { color, type, hits } = typeof cell === 'string' ? { color: cell, type: 'normal' } : cell;
+                    const bubble = this.placeBubble(row, col, color, type);
+                    if (type === 'ice') {
+                        bubble.hits = hits || 1;
+                    }
+                }
+            }
+        }
+    }
+
+    // Bubbles left to clear; stones are obstacles that never need clearing
+    countBubbles() {
+        let bubbleCount = 0;
+        for (let row = 0; row < this.geometry.rows; row++) {
+            for (let col = 0; col < this.geometry.cols; col++) {
+                if (this.gridBubbles[row][col] && this.gridBubbles[row][col].type !== 'stone') {
+                    bubbleCount++;
+                }
+            }
+        }
+        return bubbleCount;
+    }
+
+    hasReachedBottom() {
+        for (let col = 0; col < this.geometry.cols; col++) {
+            if (this.gridBubbles[this.geometry.rows - 1][col]) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    getColPosition(row, col) {
+        return this.geometry.getColPosition(row, col);
+    }
+
+    getRowPosition(row) {
+        return this.geometry.getRowPosition(row);
+    }
+
+
+    // Places a bubble into the nearest connected free cell and applies the match
+    // and miss rules; special shots (bubble.type) apply their own instead. Returns
+    // { row, col, matches, color, popped, dropped, cracked, painted, points,
+    // avalanchePoints, special, missesChanged } so the caller can animate the outcome,
+    // or null when no valid cell was found. color is the one the matches share, which
+    // a rainbow shot takes from its group; special names the special shot that landed.
+    // missesChanged tells whether the shot moved the miss counter, which a miss that
+    // reaches the limit does even though the counter ends where it started.
+    snapBubbleToGrid(bubble) {
+        this.gridSnapsThisFrame++;
+        this.debugLogger.log('snap', 'Attempting to snap bubble to grid', {
+            bubblePosition: { x: bubble.x, y: bubble.y },
+            bubbleColor: bubble.color
+        });
+        
+        const { row: bestRow, col: bestCol, candidatesChecked, fallback } = this.findSnapCell(bubble);
+        this.debugLogger.log('snap', 'Grid position analysis', {
+            candidatesFound: candidatesChecked,
+            bestPosition: bestRow >= 0 ? { row: bestRow, col: bestCol } : null,
+            fallback
+        });
+        
+        // Snap bubble to the determined position
+        if (bestRow >= 0 && bestCol >= 0) {
+            // Perfect positioning using grid calculations
+            bubble.x = this.getColPosition(bestRow, bestCol);
+            bubble.y = this.getRowPosition(bestRow);
+            bubble.stuck = true;
+            bubble.row = bestRow;
+            bubble.col = bestCol;
+            bubble.vx = 0;
+            bubble.vy = 0;
+            bubble.snapPredicted = false; // Reset prediction flag
+            this.gridBubbles[bestRow][bestCol] = bubble;
+            
+            this.debugLogger.log('snap', 'Bubble successfully snapped to grid', {
+                finalPosition: { row: bestRow, col: bestCol, x: bubble.x, y: bubble.y },
+                color: bubble.color
+            });
+            
+            // Process matches and game logic
+            const result = {
+                row: bestRow, col: bestCol, matches: [], popped: [], dropped: [], cracked: [], painted: [],
+                points: 0, avalanchePoints: 0, special: null, missesChanged: false
+            };
+            if (bubble.type === 'bomb') {
+                return this.scoreShot(this.detonate(result), bubble);
+            }
+            if (bubble.type === 'lightning') {
+                return this.scoreShot(this.strikeRow(result), bubble);
+            }
+            if (bubble.type === 'paint') {
+                this.splashPaint(result, bubble);
+            }
+            
+            // Painted neighbours are matched from too, each group once
+            const matches = [...new Set([bubble, ...result.painted].flatMap(start => this.checkMatches(start.row, start.col)))];
+            result.matches = matches;
+            result.color = (matches.find(match => match.type !== 'rainbow') || bubble).color;
+            this.debugLogger.log('match', 'Checking for matches', {
+                position: { row: bestRow, col: bestCol },
+                matchesFound: matches.length,
+                threshold: POP_THRESHOLD
+            });
+            
+            if (matches.length >= POP_THRESHOLD) {
+                this.debugLogger.log('match', 'Match threshold reached - popping bubbles', {
+                    bubblesPopped: matches.length,
+                    colors: matches.map(b => b.color)
+                });
+                Object.assign(result, this.popBubbles(matches));
+                result.missesChanged = this.countHit();
+            } else {
+                result.missesChanged = this.countMiss();
+            }
+            
+            return this.scoreShot(result, bubble);
+        }
+        
+        this.debugLogger.log('snap', 'WARNING: Could not find valid grid position for bubble!', {
+            bubblePosition: { x: bubble.x, y: bubble.y },
+            candidatesChecked
+        });
+        return null;
+    }
+
+    // Adds points (negative for costs) to the score, booked under a SCORE_SOURCES key
+    addScore(source, points) {
+        this.score += points;
+        this.scoreBreakdown[source] = (this.scoreBreakdown[source] || 0) + points;
+    }
+
+    // A shot that popped something; it adds to the combo. Returns whether it reset
+    // a miss count.
+    countHit() {
+        const changed = this.missedShots !== 0;
+        this.missedShots = 0;
+        this.combo++;
+        return changed;
+    }
+
+    // A shot that popped nothing; enough of them in a row defers a new row. Returns
+    // true: a miss always moves the counter, on to the next count or to a new row.
+    countMiss() {
+        this.combo = 0;
+        this.missedShots++;
+        this.debugLogger.log('game', 'Shot missed - incrementing miss counter', {
+            missedShots: this.missedShots,
+            limit: this.missLimit
+        });
+        
+        if (this.missedShots >= this.missLimit) {
+            this.debugLogger.log('game', 'Miss limit reached - deferring new row addition');
+            this.pendingNewRow = true;
+            this.missedShots = 0;
+        }
+        return true;
+    }
+
+    // Blows up a bomb that just snapped into (result.row, result.col): the bomb and
+    // every bubble within bombRadius hex steps are popped whatever their color
+    // (stones excepted), then the usual avalanche drops anything left hanging.
+    detonate(result) {
+        const bomb = this.gridBubbles[result.row][result.col];
+        const caught = this.cellsWithin(result.row, result.col, this.bombRadius)
+            .map(([row, col]) => this.gridBubbles[row][col])
+            .filter(bubble => bubble && bubble !== bomb && bubble.type !== 'stone');
+        this.debugLogger.log('match', 'Bomb detonated', {
+            position: { row: result.row, col: result.col },
+            radius: this.bombRadius,
+            bubblesCaught: caught.length
+        });
+        
+        return this.popSpecial(result, 'bomb', bomb, caught);
+    }
+
+    // Lightning that just snapped into result.row pops every bubble in that row,
+    // whatever its color (stones excepted), then the avalanche drops what hung from it
+    strikeRow(result) {
+        const bolt = this.gridBubbles[result.row][result.col];
+        const struck = this.gridBubbles[result.row].filter(bubble => bubble && bubble !== bolt && bubble.type !== 'stone');
+        this.debugLogger.log('match', 'Lightning struck', { row: result.row, bubblesStruck: struck.length });
+        return this.popSpecial(result, 'lightning', bolt, struck);
+    }
+
+    // Pops a special shot with the bubbles it caught. One that caught nothing is a
+    // dud (result.dud): it leaves the board without scoring or popping and counts as a miss.
+    popSpecial(result, special, shot, caught) {
+        if (caught.length === 0) {
+            this.gridBubbles[shot.row][shot.col] = null;
+            shot.removing = true;
+            Object.assign(result, { popped: [], dropped: [], cracked: [], points: 0, avalanchePoints: 0, special, dud: shot });
+            result.missesChanged = this.countMiss();
+            return result;
+        }
+        Object.assign(result, this.popBubbles([shot, ...caught]), { special });
+        result.missesChanged = this.countHit();
+        return result;
+    }
+
+    // Multiplies the points of a successful shot, which popBubbles scored flat: by
+    // the combo of successful shots in a row, for a bank shot (shot.wallBounced) and,
+    // for its avalanche, by how many bubbles dropped. Leaves result.basePoints,
+    // result.baseAvalanchePoints and result.multipliers ({ combo, bank, avalanche })
+    // for the score popups. Each multiplier's gain is booked in the breakdown in turn.
+    scoreShot(result, shot) {
+        const multipliers = { combo: 1, bank: 1, avalanche: 1 };
+        if (this.combo > 0) {
+            multipliers.combo = this.scoring.comboMultiplier(this.combo);
+            multipliers.bank = shot.wallBounced ? this.scoring.bankShot : 1;
+            multipliers.avalanche = this.scoring.avalancheMultiplier(result.dropped.length);
+        }
+        
+        result.basePoints = result.points;
+        result.baseAvalanchePoints = result.avalanchePoints;
+        result.multipliers = multipliers;
+        result.combo = this.combo;
+        result.points = Math.round(result.basePoints * multipliers.combo * multipliers.bank);
+        result.avalanchePoints = Math.round(result.baseAvalanchePoints * multipliers.combo * multipliers.bank * multipliers.avalanche);
+        
+        const base = result.basePoints + result.baseAvalanchePoints;
+        const withCombo = Math.round(base * multipliers.combo);
+        const withBank = Math.round(base * multipliers.combo * multipliers.bank);
+        const gains = { combos: withCombo - base, bankShots: withBank - withCombo, bigAvalanches: result.points + result.avalanchePoints - withBank };
+        Object.entries(gains).forEach(([source, points]) => {
+            if (points !== 0) this.addScore(source, points);
+        });
+        if (result.points !== result.basePoints || result.avalanchePoints !== result.baseAvalanchePoints) {
+            this.debugLogger.log('score', 'Shot multipliers applied', { multipliers, combo: this.combo, newScore: this.score });
+        }
+        return result;
+    }
+
+    // A paint shot turns its plain neighbours (not wildcards or obstacles) its own
+    // color and stays as a plain bubble; the caller matches from all of them
+    splashPaint(result, paint) {
+        paint.type = 'normal';
+        result.special = 'paint';
+        result.painted = this.getNeighborPositions(result.row, result.col)
+            .map(([row, col]) => this.geometry.contains(row, col) && this.gridBubbles[row][col])
+            .filter(neighbor => neighbor && neighbor.type === 'normal' && neighbor.color !== paint.color);
+        result.painted.forEach(neighbor => {
+            neighbor.color = paint.color;
+        });
+        this.debugLogger.log('match', 'Paint splashed', {
+            position: { row: result.row, col: result.col },
+            color: paint.color,
+            bubblesPainted: result.painted.length
+        });
+    }
+
+    // Grid cells (as [row, col]) at most `radius` hex steps from (row, col), itself included
+    cellsWithin(row, col, radius) {
+        const seen = new Set([`${row},${col}`]);
+        let ring = [[row, col]];
+        const cells = [...ring];
+        for (let step = 0; step < radius; step++) {
+            const next = [];
+            for (const [r, c] of ring) {
+                for (const [nr, nc] of this.getNeighborPositions(r, c)) {
+                    const key = `${nr},${nc}`;
+                    if (this.geometry.contains(nr, nc) && !seen.has(key)) {
+                        seen.add(key);
+                        next.push([nr, nc]);
+                    }
+                }
+            }
+            cells.push(...next);
+            ring = next;
+        }
+        return cells;
+    }
+
+    // The free cell a bubble at (bubble.x, bubble.y) would snap into: the nearest one
+    // that stays connected to the top, with a top-rows fallback. Changes nothing, so
+    // the aim preview can ask where a shot will land. Returns { row, col, ... },
+    // row and col -1 when there is no room.
+    findSnapCell(bubble) {
+        let bestRow = -1;
+        let bestCol = -1;
+        let minDistance = Infinity;
+        let candidatesChecked = 0;
+        
+        // Find the best grid position using hexagonal distance calculation
+        for (let row = 0; row < this.geometry.rows; row++) {
+            for (let col = 0; col < this.geometry.cols; col++) {
+                if (!this.gridBubbles[row][col]) {
+                    const gridX = this.getColPosition(row, col);
+                    const gridY = this.getRowPosition(row);
+                    
+                    // Calculate precise distance to this grid position
+                    const dx = bubble.x - gridX;
+                    const dy = bubble.y - gridY;
+                    const distance = Math.sqrt(dx * dx + dy * dy);
+                    
+                    // Only cells closer than the best so far can win, so the
+                    // overlap and connectivity checks are skipped for the rest
+                    if (distance >= minDistance) {
+                        continue;
+                    }
+                    
+                    // Skip positions that would cause overlaps
+                    if (this.wouldOverlapPrecise(gridX, gridY, row, col)) {
+                        continue;
+                    }
+                    
+                    // Check if this position maintains connectivity to top
+                    const isConnected = row === 0 || this.isPositionConnectedToTop(row, col);
+                    candidatesChecked++;
+                    
+                    // Prioritize connected positions with closer distance
+                    if (isConnected) {
+                        minDistance = distance;
+                        bestRow = row;
+                        bestCol = col;
+                    }
+                }
+            }
+        }
+        
+        // Enhanced fallback logic for edge cases
+        const fallback = bestRow === -1;
+        if (fallback) {
+            bestRow = this.findBestFallbackPosition(bubble);
+            if (bestRow !== -1) {
+                // Find first available column in the fallback row
+                for (let col = 0; col < this.geometry.cols; col++) {
+                    if (!this.gridBubbles[bestRow][col]) {
+                        const gridX = this.getColPosition(bestRow, col);
+                        const gridY = this.getRowPosition(bestRow);
+                        if (!this.wouldOverlapPrecise(gridX, gridY, bestRow, col)) {
+                            bestCol = col;
+                            break;
+                        }
+                    }
+                }
+            }
+        }
+        
+        if (bestCol === -1) {
+            bestRow = -1;
+        }
+        return { row: bestRow, col: bestCol, candidatesChecked, fallback };
+    }
+
+    findBestFallbackPosition(bubble) {
+        // Find the best row for fallback placement (top rows preferred)
+        for (let row = 0; row < Math.min(this.geometry.rows, 3); row++) {
+            for (let col = 0; col < this.geometry.cols; col++) {
+                if (!this.gridBubbles[row][col]) {
+                    const gridX = this.getColPosition(row, col);
+                    const gridY = this.getRowPosition(row);
+                    if (!this.wouldOverlapPrecise(gridX, gridY, row, col)) {
+                        return row;
+                    }
+                }
+            }
+        }
+        return -1;
+    }
+
+    wouldOverlapPrecise(x, y, targetRow, targetCol) {
+        // Enhanced overlap detection using precise hexagonal distances
+        const MIN_DISTANCE = this.geometry.bubbleRadius * 2 * 0.98; // Slightly tighter for perfect placement
+        
+        // Check all nearby positions that could cause overlaps
+        const neighbors = this.getNeighborPositions(targetRow, targetCol);
+        
+        // Add the target position's immediate vicinity
+        const positionsToCheck = [
+            ...neighbors,
+            [targetRow, targetCol - 2], [targetRow, targetCol + 2], // Extended horizontal
+            [targetRow - 2, targetCol], [targetRow + 2, targetCol]   // Extended vertical
+        ];
+        
+        for (const [checkRow, checkCol] of positionsToCheck) {
+            if (this.geometry.contains(checkRow, checkCol) && this.gridBubbles[checkRow][checkCol]) {
+                
+                const existingBubble = this.gridBubbles[checkRow][checkCol];
+                const dx = x - existingBubble.x;
+                const dy = y - existingBubble.y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                
+                if (distance < MIN_DISTANCE) {
+                    return true;
+                }
+            }
+        }
+        
+        return false;
+    }
+
+    isPositionConnectedToTop(row, col) {
+        // Check if placing a bubble at this position would be connected to the top row
+        // through a chain of adjacent bubbles
+        
+        // Get neighbors of this position
+        const neighbors = this.getNeighborPositions(row, col);
+        
+        // Check if any neighbor exists and is connected to top
+        for (const [nRow, nCol] of neighbors) {
+            if (this.geometry.contains(nRow, nCol)) {
+                const neighborBubble = this.gridBubbles[nRow][nCol];
+                if (neighborBubble) {
+                    // If neighbor is in top row, we're connected
+                    if (nRow === 0) {
+                        return true;
+                    }
+                    // Otherwise, check if this neighbor is connected to top
+                    if (this.isBubbleConnectedToTop(nRow, nCol)) {
+                        return true;
+                    }
+                }
+            }
+        }
+        
+        return false;
+    }
+
+    isBubbleConnectedToTop(row, col) {
+        // Use breadth-first search to check if a bubble is connected to the top row
+        if (row === 0) return true; // Already in top row
+        
+        const visited = new Set();
+        const queue = [[row, col]];
+        visited.add(`${row},${col}`);
+        
+        while (queue.length > 0) {
+            const [currentRow, currentCol] = queue.shift();
+            
+            // If we reached the top row, we're connected
+            if (currentRow === 0) {
+                return true;
+            }
+            
+            // Check all neighbors
+            const neighbors = this.getNeighborPositions(currentRow, currentCol);
+            for (const [nRow, nCol] of neighbors) {
+                const key = `${nRow},${nCol}`;
+                if (this.geometry.contains(nRow, nCol) &&
+                    !visited.has(key) && this.gridBubbles[nRow][nCol]) {
+                    visited.add(key);
+                    queue.push([nRow, nCol]);
+                }
+            }
+        }
+        
+        return false;
+    }
+
+    getNeighborPositions(row, col) {
+        // Perfect hexagonal neighbor calculation
+        // In a hexagonal grid, odd rows are offset to the right
+        const isOddRow = row % 2 === 1;
+        
+        // Calculate the 6 hexagonal neighbors with correct offset logic
+        return [
+            [row - 1, col + (isOddRow ? 0 : -1)], // Top left
+            [row - 1, col + (isOddRow ? 1 : 0)],  // Top right
+            [row, col - 1],                        // Direct left
+            [row, col + 1],                        // Direct right
+            [row + 1, col + (isOddRow ? 0 : -1)], // Bottom left
+            [row + 1, col + (isOddRow ? 1 : 0)]   // Bottom right
+        ];
+    }
+
+    wouldOverlap(x, y, targetRow, targetCol) {
+        // Check if placing a bubble at this position would overlap with existing bubbles
+        const testBubble = { x: x, y: y, radius: this.geometry.bubbleRadius };
+        
+        // Check nearby positions for overlaps
+        for (let row = Math.max(0, targetRow - 1); row <= Math.min(this.geometry.rows - 1, targetRow + 1); row++) {
+            for (let col = Math.max(0, targetCol - 1); col <= Math.min(this.geometry.cols - 1, targetCol + 1); col++) {
+                if (row === targetRow && col === targetCol) continue; // Skip the target position itself
+                
+                const existingBubble = this.gridBubbles[row][col];
+                if (existingBubble) {
+                    const dx = x - existingBubble.x;
+                    const dy = y - existingBubble.y;
+                    const distance = Math.sqrt(dx * dx + dy * dy);
+                    
+                    // Check if bubbles would overlap (with a small tolerance)
+                    if (distance < (this.geometry.bubbleRadius * 2) * 0.95) {
+                        return true;
+                    }
+                }
+            }
+        }
+        
+        return false;
+    }
+
+    hasAdjacentBubble(row, col) {
+        // Check if there are any bubbles adjacent to this position
+        const neighbors = this.getNeighborPositions(row, col);
+        
+        for (const [nr, nc] of neighbors) {
+            if (this.geometry.contains(nr, nc)) {
+                if (this.gridBubbles[nr][nc]) {
+                    return true;
+                }
+            }
+        }
+        
+        return false;
+    }
+
+    // The group the bubble at (row, col) matches with. Rainbow wildcards count as
+    // every color, so they join the groups on either side of them; stones and
+    // bubbles still in ice match nothing. A wildcard
+    // itself takes whichever neighbouring color (reached through other wildcards)
+    // makes the largest group; on a tie the color earlier in BUBBLE_COLORS wins.
+    // With no colored bubble in reach, wildcards only match each other.
+    checkMatches(row, col) {
+        const bubble = this.gridBubbles[row][col];
+        if (!bubble) return [];
+        if (bubble.type !== 'rainbow') return this.matchGroup(row, col, bubble.color);
+        
+        let best = this.matchGroup(row, col, null);
+        const rank = color => BUBBLE_COLORS.includes(color) ? BUBBLE_COLORS.indexOf(color) : BUBBLE_COLORS.length;
+        const colors = [...new Set(best.flatMap(wildcard => this.getNeighborPositions(wildcard.row, wildcard.col)
+            .map(([r, c]) => this.geometry.contains(r, c) && this.gridBubbles[r][c])
+            .filter(neighbor => neighbor && neighbor.type === 'normal')
+            .map(neighbor => neighbor.color)))].sort((a, b) => rank(a) - rank(b));
+        for (const color of colors) {
+            const group = this.matchGroup(row, col, color);
+            if (group.length > best.length) {
+                best = group;
+            }
+        }
+        return best;
+    }
+
+    // Flood fill from (row, col) through bubbles of `color` and wildcards; a null
+    // color follows wildcards only
+    matchGroup(row, col, color) {
+        // Reset visited flag for all bubbles
+        for (let r = 0; r < this.geometry.rows; r++) {
+            for (let c = 0; c < this.geometry.cols; c++) {
+                if (this.gridBubbles[r][c]) {
+                    this.gridBubbles[r][c].visited = false;
+                }
+            }
+        }
+        
+        // Use flood fill to find all connected bubbles of same color
+        const matches = [];
+        
+        const floodFill = (r, c) => {
+            // Check bounds
+            if (!this.geometry.contains(r, c)) return;
+            
+            // Get bubble at this position
+            const currentBubble = this.gridBubbles[r][c];
+            
+            // Check if bubble exists, matches the color, and not visited
+            if (!currentBubble || currentBubble.visited) return;
+            if (currentBubble.type === 'stone' || currentBubble.type === 'ice') return;
+            if (currentBubble.type !== 'rainbow' && currentBubble.color !== color) return;
+            
+            // Mark as visited
+            currentBubble.visited = true;
+            matches.push(currentBubble);
+            
+            // Get neighboring positions using helper method
+            const neighbors = this.getNeighborPositions(r, c);
+            
+            // Visit all neighbors
+            for (const [nr, nc] of neighbors) {
+                floodFill(nr, nc);
+            }
+        };
+        
+        floodFill(row, col);
+        return matches;
+    }
+
+    // Removes a matched group, cracks ice next to it, then drops everything left
+    // hanging. Returns the popped and dropped bubbles (both flagged for their
+    // animations) and the ice that cracked.
+    popBubbles(bubbles) {
+        this.debugLogger.log('pop', 'Popping bubble group', {
+            count: bubbles.length,
+            colors: [...new Set(bubbles.map(b => b.color))], // Unique colors
+            positions: bubbles.map(b => ({ row: b.row, col: b.col }))
+        });
+        
+        // Remove bubbles from grid
+        for (const bubble of bubbles) {
+            this.gridBubbles[bubble.row][bubble.col] = null;
+            bubble.removing = true;
+            this.bubblesCleared++;
+        }
+        
+        // Add points
+        const pointsEarned = bubbles.length * this.scoring.popPoints;
+        this.addScore('pops', pointsEarned);
+        this.debugLogger.log('score', 'Points earned from popping', {
+            bubblesPopped: bubbles.length,
+            pointsEarned,
+            newScore: this.score
+        });
+        
+        const cracked = this.crackIce(bubbles);
+        
+        // Check for floating bubbles (avalanche effect)
+        const floatingBubbles = this.findFloatingBubbles();
+        let avalanchePoints = 0;
+        if (floatingBubbles.length > 0) {
+            this.debugLogger.log('avalanche', 'Floating bubbles detected', {
+                count: floatingBubbles.length,
+                positions: floatingBubbles.map(b => ({ row: b.row, col: b.col, color: b.color }))
+            });
+            
+            avalanchePoints = floatingBubbles.length * this.scoring.avalanchePoints;
+            this.addScore('avalanches', avalanchePoints);
+            
+            this.debugLogger.log('score', 'Avalanche bonus points', {
+                bubblesDropped: floatingBubbles.length,
+                bonusPoints: avalanchePoints,
+                newScore: this.score
+            });
+            
+            for (const bubble of floatingBubbles) {
+                this.gridBubbles[bubble.row][bubble.col] = null;
+                bubble.falling = true;
+                bubble.vy = FALL_START_SPEED; // Initial falling speed
+                this.bubblesCleared++;
+            }
+        }
+        
+        return { popped: bubbles, dropped: floatingBubbles, cracked, points: pointsEarned, avalanchePoints };
+    }
+
+    // Ice next to any of the popped bubbles loses one layer, however many of them
+    // touch it; without layers left it is a plain bubble again. Returns the cracked ice.
+    crackIce(popped) {
+        const cracked = new Set();
+        for (const bubble of popped) {
+            for (const [row, col] of this.getNeighborPositions(bubble.row, bubble.col)) {
+                const neighbor = this.geometry.contains(row, col) && this.gridBubbles[row][col];
+                if (neighbor && neighbor.type === 'ice') {
+                    cracked.add(neighbor);
+                }
+            }
+        }
+        
+        cracked.forEach(ice => {
+            ice.hits--;
+            if (ice.hits <= 0) {
+                ice.type = 'normal';
+            }
+        });
+        if (cracked.size > 0) {
+            this.debugLogger.log('match', 'Ice cracked', {
+                positions: [...cracked].map(ice => ({ row: ice.row, col: ice.col, hits: ice.hits }))
+            });
+        }
+        return [...cracked];
+    }
+
+    findFloatingBubbles() {
+        // Mark all bubbles as not visited
+        for (let row = 0; row < this.geometry.rows; row++) {
+            for (let col = 0; col < this.geometry.cols; col++) {
+                if (this.gridBubbles[row][col]) {
+                    this.gridBubbles[row][col].visited = false;
+                }
+            }
+        }
+        
+        // Mark all bubbles connected to top row as 'visited'
+        for (let col = 0; col < this.geometry.cols; col++) {
+            if (this.gridBubbles[0][col]) {
+                this.markConnectedBubbles(0, col);
+            }
+        }
+        
+        // Collect all unvisited (floating) bubbles
+        const floatingBubbles = [];
+        for (let row = 0; row < this.geometry.rows; row++) {
+            for (let col = 0; col < this.geometry.cols; col++) {
+                const bubble = this.gridBubbles[row][col];
+                if (bubble && !bubble.visited) {
+                    floatingBubbles.push(bubble);
+                }
+            }
+        }
+        
+        return floatingBubbles;
+    }
+
+    markConnectedBubbles(row, col) {
+        // Check bounds
+        if (!this.geometry.contains(row, col)) return;
+        
+        // Get bubble at this position
+        const bubble = this.gridBubbles[row][col];
+        
+        // Check if bubble exists and is not visited
+        if (!bubble || bubble.visited) return;
+        
+        // Mark as visited
+        bubble.visited = true;
+        
+        // Get neighboring positions using helper method
+        const neighbors = this.getNeighborPositions(row, col);
+        
+        // Visit all neighbors
+        for (const [nr, nc] of neighbors) {
+            this.markConnectedBubbles(nr, nc);
+        }
+    }
+
+    addNewRow(colorSubset) {
+        this.debugLogger.log('game', 'Adding new row - starting shift operation');
+        
+        // Shift all existing rows down and update their positions
+        for (let row = this.geometry.rows - 1; row > 0; row--) {
+            for (let col = 0; col < this.geometry.cols; col++) {
+                this.gridBubbles[row][col] = this.gridBubbles[row - 1][col];
+                if (this.gridBubbles[row][col]) {
+                    // Update both grid coordinates and actual position
+                    this.gridBubbles[row][col].row = row;
+                    this.gridBubbles[row][col].col = col;
+                    
+                    // Recalculate precise position using grid positioning methods
+                    this.gridBubbles[row][col].x = this.getColPosition(row, col);
+                    this.gridBubbles[row][col].y = this.getRowPosition(row);
+                    
+                    this.debugLogger.log('shift', `Moved bubble from row ${row-1} to row ${row}`, {
+                        col: col,
+                        newPosition: { x: this.gridBubbles[row][col].x, y: this.gridBubbles[row][col].y }
+                    });
+                }
+            }
+        }
+        
+        // Clear the top row
+        for (let col = 0; col < this.geometry.cols; col++) {
+            this.gridBubbles[0][col] = null;
+        }
+        
+        // Add new row at the top with proper collision checking
+        const effectiveGridCols = this.getEffectiveCols();
+        
+        for (let col = 0; col < effectiveGridCols; col++) {
+            if (this.random.next() < 0.85) { // 85% chance to add a bubble
+                const x = this.getColPosition(0, col);
+                const y = this.getRowPosition(0);
+                
+                // Ensure we don't place bubbles too close to the edge
+                if (x < this.geometry.bubbleRadius || x > this.width - this.geometry.bubbleRadius) {
+                    continue;
+                }
+                
+                // Use enhanced overlap checking to prevent conflicts
+                if (this.wouldOverlapPrecise(x, y, 0, col)) {
+                    this.debugLogger.log('warning', 'Overlap detected when adding new row bubble', {
+                        position: { row: 0, col: col, x: x, y: y }
+                    });
+                    continue;
+                }
+                
+                // Create color clusters for more strategic gameplay
+                let color;
+                if (col > 0 && this.gridBubbles[0][col-1] && this.random.next() < 0.4) {
+                    color = this.gridBubbles[0][col-1].color;
+                } else {
+                    color = this.random.pick(colorSubset);
+                }
+                
+                this.placeBubble(0, col, color);
+                
+                this.debugLogger.log('add', 'New bubble added to top row', {
+                    position: { row: 0, col: col, x: x, y: y },
+                    color: color
+                });
+            }
+        }
+        
+        // Verify grid integrity after the operation
+        this.verifyGridIntegrity();
+        
+        this.debugLogger.log('game', 'New row addition completed successfully');
+    }
+
+    // Add a method to verify grid integrity (helps catch positioning issues)
+    verifyGridIntegrity() {
+        if (!this.debugLogger.enabled) return; // Only run in debug mode
+        
+        let issues = 0;
+        for (let row = 0; row < this.geometry.rows; row++) {
+            for (let col = 0; col < this.geometry.cols; col++) {
+                const bubble = this.gridBubbles[row][col];
+                if (bubble) {
+                    const expectedX = this.getColPosition(row, col);
+                    const expectedY = this.getRowPosition(row);
+                    
+                    // Check if bubble position matches expected grid position
+                    const positionError = Math.sqrt(
+                        Math.pow(bubble.x - expectedX, 2) + 
+                        Math.pow(bubble.y - expectedY, 2)
+                    );
+                    
+                    if (positionError > 1) { // Allow 1 pixel tolerance
+
+                        this.debugLogger.log('warning', 'Grid integrity issue detected', {
+                            bubble: { row: bubble.row, col: bubble.col, x: bubble.x, y: bubble.y },
+                            expected: { row: row, col: col, x: expectedX, y: expectedY },
+                            error: positionError
+                        });
+                        
+                        // Auto-correct the position
+                        bubble.x = expectedX;
+                        bubble.y = expectedY;
+                        bubble.row = row;
+                        bubble.col = col;
+                        issues++;
+                    }
+                }
+            }
+        }
+        
+        if (issues > 0) {
+            this.debugLogger.log('warning', `Fixed ${issues} grid integrity issues`);
+        }
+    }
+}
+
+// Export the headless core for Node (tests, tools); in the browser these are plain globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DebugLogger,
+        CollisionPredictor,
+        Board,
+        SeededRandom,
+        ReplayLog,
+        BoardGeometry,
+        EventEmitter,
+        createGridCell,
+        getLevelSettings,
+        LevelDefinition,
+        LevelSolver,
+        ShotPlanner,
+        GreedyBot,
+        LookaheadBot,
+        BOT_TYPES,
+        GameSimulation,
+        loadShot,
+        rewardFor,
+        shooterPool,
+        rerollShots,
+        DIFFICULTY_SETTINGS,
+        SPECIAL_SHOT_COLORS,
+        STONE_COLOR,
+        BOMB_RADIUS,
+        BOMB_REWARD_DROP,
+        SHOOTER_BASE_WEIGHT,
+        SCORE_BUCKETS,
+        ScoringRules,
+        SCORING_RULES,
+        SCORE_SOURCES,
+        STRATEGY_SHOTS,
+        ARCADE_TIME,
+        SWAP_LIMITS,
+        BUBBLE_RADIUS,
+        BUBBLE_COLORS,
+        SHOOTER_SPEED,
+        WALL_RESTITUTION,
+        SIMULATION_STEP,
+        MAX_FRAME_TIME,
+        FALL_GRAVITY,
+        FALL_START_SPEED,
+        GRID_ROWS,
+        GRID_COLS,
+        GRID_TOP_MARGIN,
+        GRID_COL_SPACING,
+        GRID_ROW_HEIGHT,
+        HEX_OFFSET,
+        MISSED_SHOTS_LIMIT,
+        POP_THRESHOLD,
+        POINTS_PER_BUBBLE,
+        AVALANCHE_BONUS,
+        COMBO_STEP,
+        MAX_COMBO_MULTIPLIER,
+        BANK_SHOT_MULTIPLIER,
+        BIG_AVALANCHE_STEP,
+        CLEAR_FIELD_BONUS_MULTIPLIER,
+        MAX_CANVAS_WIDTH,
+        LEVEL_COUNT,
+        MAX_START_ROWS,
+        REPLAY_FORMAT_VERSION,
+        LEVEL_FORMAT_VERSION,
+        LEVEL_LEGEND,
+        BUBBLE_TYPES,
+        GAME_EVENTS
+    };
+}
@@ -0,0 +1,438 @@
+// Level Editor
+// Paint bubbles onto the hexagonal grid, set the shooter queue, rules and
+// objectives, then test-play the level or export it as a level file (see
+// LevelDefinition in game_core.js). Edits a headless Board, so the painted grid
+// is exactly what Board.loadLevel builds when the level is played.
+
+const EDITOR_SOLVER_NODES = 2000; // Boards the editor's solvability check may search
+
+class LevelEditor {
+    // onTestPlay(definition) receives the validated LevelDefinition to play
+    constructor(onTestPlay) {
+        this.onTestPlay = onTestPlay;
+        this.canvas = document.getElementById('editorCanvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.palette = document.getElementById('editorPalette');
+        this.types = document.getElementById('editorTypes');
+        this.queue = document.getElementById('editorQueue');
+        this.poolList = document.getElementById('editorPool');
+        this.status = document.getElementById('editorStatus');
+        this.fileInput = document.getElementById('editorFile');
+        this.fields = {
+            name: document.getElementById('editorName'),
+            mode: document.getElementById('editorMode'),
+            shotLimit: document.getElementById('editorShotLimit'),
+            timeLimit: document.getElementById('editorTimeLimit'),
+            missesPerRow: document.getElementById('editorMissesPerRow'),
+            clear: document.getElementById('editorObjectiveClear'),
+            scoreTarget: document.getElementById('editorObjectiveScore'),
+            popCount: document.getElementById('editorObjectivePop'),
+            popColor: document.getElementById('editorObjectivePopColor')
+        };
+
+        this.brush = BUBBLE_COLORS[0]; // Color the next paint stroke uses; null erases
+        this.brushType = 'normal'; // BUBBLE_TYPES entry the next paint stroke places
+        this.sequence = []; // Shooter colors loaded in order
+        this.pool = []; // Random shooter colors once the sequence runs out; empty takes them from the board
+        this.scoring = null; // An imported level's rules.scoring; there are no fields for it, so it is kept as is
+        this.painting = false;
+        this.erasing = false;
+
+        this.setGeometry(new BoardGeometry());
+        this.buildPalette();
+        this.buildTypes();
+        BUBBLE_COLORS.forEach(color => this.addPopColor(color));
+        this.attachListeners();
+        this.draw();
+    }
+
+    // A fresh, empty board; the canvas is as wide as the widest board the geometry allows
+    setGeometry(geometry) {
+        this.geometry = geometry;
+        this.board = new Board({ geometry, width: geometry.maxWidth });
+        this.canvas.width = geometry.maxWidth;
+        this.canvas.height = Math.ceil(geometry.gridHeight + geometry.bubbleRadius);
+    }
+
+    buildPalette() {
+        this.palette.innerHTML = '';
+        const swatches = [...BUBBLE_COLORS, null];
+        swatches.forEach(color => {
+            const swatch = document.createElement('button');
+            swatch.className = 'editor-swatch';
+            swatch.title = color || 'Eraser';
+            swatch.textContent = color ? '' : '✕';
+            swatch.style.background = color || 'transparent';
+            swatch.addEventListener('click', () => this.setBrush(color));
+            this.palette.appendChild(swatch);
+        });
+
+        // Any other color through the browser's picker
+        const picker = document.createElement('input');
+        picker.type = 'color';
+        picker.className = 'editor-picker';
+        picker.title = 'Custom color';
+        picker.addEventListener('input', () => this.setBrush(picker.value.toUpperCase()));
+        this.palette.appendChild(picker);
+        this.setBrush(this.brush);
+    }
+
+    // One button per cell type, plus how many pops next to it an ice bubble takes
+    buildTypes() {
+        this.types.innerHTML = '';
+        BUBBLE_TYPES.forEach(type => {
+            const button = document.createElement('button');
+            button.className = 'control-button editor-type';
+            button.textContent = type[0].toUpperCase() + type.slice(1);
+            button.title = type;
+            button.addEventListener('click', () => this.setBrushType(type));
+            this.types.appendChild(button);
+        });
+
+        this.iceHits = document.createElement('input');
+        this.iceHits.type = 'number';
+        this.iceHits.min = '1';
+        this.iceHits.value = '1';
+        this.iceHits.className = 'seed-input editor-hits';
+        this.iceHits.title = 'Ice hits';
+        this.types.appendChild(this.iceHits);
+        this.setBrushType(this.brushType);
+    }
+
+    setBrushType(type) {
+        this.brushType = type;
+        Array.from(this.types.children).forEach(button => {
+            button.classList.toggle('active', button.title === type);
+        });
+    }
+
+    // The cell the brush paints, as describeCell() gives it, or null for the eraser.
+    // Stones and rainbows have colors of their own whatever the brush color.
+    brushCell() {
+        if (!this.brush) return null;
+        switch (this.brushType) {
+            case 'stone':
+                return { color: STONE_COLOR, type: 'stone' };
+            case 'rainbow':
+                return { color: SPECIAL_SHOT_COLORS.rainbow, type: 'rainbow' };
+            case 'ice':
+                return { color: this.brush, type: 'ice', hits: Math.max(1, Math.floor(Number(this.iceHits.value)) || 1) };
+            default:
+                return { color: this.brush, type: 'normal' };
+        }
+    }
+
+    // Makes a color choosable for the pop objective, e.g. an imported level's custom one
+    addPopColor(color) {
+        const { popColor } = this.fields;
+        if (Array.from(popColor.options).some(option => option.value === color)) return;
+
+        const option = document.createElement('option');
+        option.value = color;
+        option.textContent = color;
+        option.style.background = color;
+        popColor.appendChild(option);
+    }
+
+    setBrush(color) {
+        this.brush = color;
+        Array.from(this.palette.children).forEach(swatch => {
+            swatch.classList.toggle('active', swatch.title === (color || 'Eraser'));
+        });
+    }
+
+    attachListeners() {
+        // Left button paints, right button (or the eraser) clears
+        this.canvas.addEventListener('mousedown', (e) => {
+            this.painting = true;
+            this.erasing = e.button === 2;
+            this.paintAt(e.clientX, e.clientY);
+        });
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (this.painting) {
+                this.paintAt(e.clientX, e.clientY);
+            }
+        });
+        window.addEventListener('mouseup', () => {
+            this.painting = false;
+        });
+        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
+        const paintTouch = (e) => {
+            e.preventDefault();
+            this.erasing = false;
+            this.paintAt(e.touches[0].clientX, e.touches[0].clientY);
+        };
+        this.canvas.addEventListener('touchstart', paintTouch, { passive: false });
+        this.canvas.addEventListener('touchmove', paintTouch, { passive: false });
+
+        document.getElementById('editorQueueAdd').addEventListener('click', () => {
+            if (this.brush) {
+                this.sequence.push(this.brush);
+                this.draw();
+            }
+        });
+        document.getElementById('editorQueueClear').addEventListener('click', () => {
+            this.sequence = [];
+            this.draw();
+        });
+        document.getElementById('editorPoolAdd').addEventListener('click', () => {
+            if (this.brush && !this.pool.includes(this.brush)) {
+                this.pool.push(this.brush);
+                this.draw();
+            }
+        });
+        document.getElementById('editorPoolClear').addEventListener('click', () => {
+            this.pool = [];
+            this.draw();
+        });
+        document.getElementById('editorClear').addEventListener('click', () => this.clear());
+        document.getElementById('editorTestPlay').addEventListener('click', () => this.testPlay());
+        document.getElementById('editorSolve').addEventListener('click', () => this.checkSolvable());
+        document.getElementById('editorExport').addEventListener('click', () => this.exportLevel());
+        document.getElementById('editorImport').addEventListener('click', () => this.fileInput.click());
+
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = () => this.importLevel(reader.result);
+            reader.readAsText(file);
+            this.fileInput.value = ''; // Allow loading the same file again
+        });
+    }
+
+    // Grid cell under a point in canvas pixels, or null outside the editable area.
+    // The last row is the lose line, so levels cannot use it.
+    cellAt(x, y) {
+        const { row } = this.geometry.approximateCell(x, y);
+        if (row < 0 || row >= this.geometry.rows - 1) return null;
+
+        const col = Math.round((x - this.board.getColPosition(row, 0)) / this.geometry.colSpacing);
+        if (col < 0 || col >= this.board.getEffectiveCols()) return null;
+        return { row, col };
+    }
+
+    paintAt(clientX, clientY) {
+        // The canvas may be scaled down by CSS
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (clientX - rect.left) * (this.canvas.width / rect.width);
+        const y = (clientY - rect.top) * (this.canvas.height / rect.height);
+        const cell = this.cellAt(x, y);
+        if (cell) {
+            this.paintCell(cell.row, cell.col);
+        }
+    }
+
+    paintCell(row, col) {
+        const cell = this.erasing ? null : this.brushCell();
+        const current = this.board.gridBubbles[row][col];
+        if (JSON.stringify(current && this.board.describeCell(current)) === JSON.stringify(cell)) return;
+
+        if (cell) {
+            const bubble = this.board.placeBubble(row, col, cell.color, cell.type);
+            if (cell.type === 'ice') {
+                bubble.hits = cell.hits;
+            }
+        } else {
+            this.board.gridBubbles[row][col] = null;
+        }
+        this.draw();
+    }
+
+    clear() {
+        this.board.reset();
+        this.sequence = [];
+        this.pool = [];
+        this.showStatus('');
+        this.draw();
+    }
+
+    // The level as painted, validated like any loaded level file; throws with the reason
+    toDefinition() {
+        const { fields } = this;
+        const mode = fields.mode.value;
+        const number = input => input.value === '' ? null : Number(input.value);
+
+        const objectives = [];
+        if (fields.clear.checked) {
+            objectives.push({ type: 'clear' });
+        }
+        if (number(fields.scoreTarget) > 0) {
+            objectives.push({ type: 'score', target: number(fields.scoreTarget) });
+        }
+        if (number(fields.popCount) > 0) {
+            const color = fields.popColor.value;
+            objectives.push({ type: 'pop', count: number(fields.popCount), ...(color ? { color } : {}) });
+        }
+
+        const geometry = this.geometry.toJSON();
+        const isDefault = JSON.stringify(geometry) === JSON.stringify(new BoardGeometry().toJSON());
+        const level = new LevelDefinition({
+            name: fields.name.value.trim() || undefined,
+            geometry: isDefault ? null : geometry,
+            grid: this.board.gridBubbles.map(cells => cells.map(bubble => bubble && this.board.describeCell(bubble))),
+            sequence: this.sequence.slice(),
+            pool: this.pool.slice(),
+            rules: {
+                mode,
+                shotLimit: mode === 'strategy' ? number(fields.shotLimit) : null,
+                timeLimit: mode === 'arcade' ? number(fields.timeLimit) : null,
+                missesPerRow: number(fields.missesPerRow) === null ? MISSED_SHOTS_LIMIT : number(fields.missesPerRow),
+                ...(this.scoring ? { scoring: { ...this.scoring } } : {})
+            },
+            objectives
+        });
+        return LevelDefinition.parse(level.toJSON());
+    }
+
+    // Shows a level in the editor, e.g. one just imported
+    load(definition) {
+        const { fields } = this;
+        this.setGeometry(BoardGeometry.from(definition.geometry));
+        this.board.loadGrid(definition.grid);
+        this.sequence = definition.sequence.slice();
+        // A pool that is just the board's colors stays empty, so it follows later painting
+        const boardColors = LevelDefinition.colorsIn(definition.grid);
+        this.pool = definition.pool.join() === boardColors.join() ? [] : definition.pool.slice();
+
+        const { rules, objectives } = definition;
+        this.scoring = rules.scoring ? { ...rules.scoring } : null;
+        fields.name.value = definition.name;
+        fields.mode.value = rules.mode;
+        fields.shotLimit.value = rules.shotLimit === null ? '' : rules.shotLimit;
+        fields.timeLimit.value = rules.timeLimit === null ? '' : rules.timeLimit;
+        fields.missesPerRow.value = rules.missesPerRow;
+        fields.clear.checked = objectives.some(objective => objective.type === 'clear');
+        const score = objectives.find(objective => objective.type === 'score');
+        const pop = objectives.find(objective => objective.type === 'pop');
+        fields.scoreTarget.value = score ? score.target : '';
+        fields.popCount.value = pop ? pop.count : '';
+        if (pop && pop.color) {
+            this.addPopColor(pop.color);
+        }
+        fields.popColor.value = pop && pop.color ? pop.color : '';
+        this.draw();
+    }
+
+    testPlay() {
+        try {
+            this.onTestPlay(this.toDefinition());
+            this.showStatus('');
+        } catch (error) {
+            this.showStatus(error.message, true);
+        }
+    }
+
+    // Runs LevelSolver on the painted level. The search blocks the page, so it
+    // gets a smaller budget than the command-line checker (solve_level.js).
+    checkSolvable() {
+        let definition;
+        try {
+            definition = this.toDefinition();
+        } catch (error) {
+            this.showStatus(error.message, true);
+            return;
+        }
+
+        this.showStatus('Checking...');
+        setTimeout(() => {
+            const solver = new LevelSolver(definition, { maxNodes: EDITOR_SOLVER_NODES });
+            const result = solver.solve();
+            const shots = count => `${count} shot${count === 1 ? '' : 's'}`;
+            if (result.solvable) {
+                const luck = result.usedPoolColors ? ' if the random colors cooperate' : '';
+                this.showStatus(`Solvable in ${shots(result.shots)}${luck}`);
+            } else if (result.solvable === false) {
+                this.showStatus(`Not solvable in ${shots(solver.maxShots)}`, true);
+            } else {
+                this.showStatus(`Gave up after ${result.nodes} boards; try solve_level.js for a deeper search`, true);
+            }
+        }, 0); // Let the status paint first
+    }
+
+    exportLevel() {
+        let definition;
+        try {
+            definition = this.toDefinition();
+        } catch (error) {
+            this.showStatus(error.message, true);
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(definition.toJSON(), null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${definition.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        this.showStatus(`Exported "${definition.name}"`);
+    }
+
+    importLevel(text) {
+        try {
+            this.load(LevelDefinition.parse(text));
+            this.showStatus('Level loaded');
+        } catch (error) {
+            console.error('Could not import level:', error);
+            this.showStatus(`Could not load level: ${error.message}`, true);
+        }
+    }
+
+    showStatus(message, isError = false) {
+        this.status.textContent = message;
+        this.status.style.color = isError ? '#FF6B6B' : '#4ECDC4';
+    }
+
+    draw() {
+        const { ctx, geometry } = this;
+        ctx.fillStyle = '#1a1a2e';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        drawHexGrid(ctx, this.board);
+
+        // Lose line: bubbles may not start in the last row
+        const loseY = this.board.getRowPosition(geometry.rows - 1) - geometry.rowHeight / 2;
+        ctx.fillStyle = 'rgba(255, 107, 107, 0.15)';
+        ctx.fillRect(0, loseY, this.canvas.width, this.canvas.height - loseY);
+
+        this.board.gridBubbles.forEach(cells => cells.forEach(bubble => {
+            if (!bubble) return;
+            ctx.beginPath();
+            ctx.arc(bubble.x, bubble.y, geometry.bubbleRadius - 1, 0, Math.PI * 2);
+            ctx.fillStyle = bubble.color;
+            ctx.fill();
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.4)';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            drawBubbleMark(ctx, bubble.type, bubble.x, bubble.y, geometry.bubbleRadius - 1, bubble.hits);
+        }));
+
+        this.drawQueue();
+    }
+
+    drawQueue() {
+        this.drawSwatches(this.queue, this.sequence, 'Random colors', index => `Shot ${index + 1}`);
+        this.drawSwatches(this.poolList, this.pool, 'Colors on the board', () => 'Random color');
+    }
+
+    drawSwatches(container, colors, emptyText, titleOf) {
+        container.innerHTML = '';
+        if (colors.length === 0) {
+            container.textContent = emptyText;
+            return;
+        }
+        colors.forEach((color, index) => {
+            const swatch = document.createElement('span');
+            swatch.className = 'editor-swatch';
+            swatch.style.background = color;
+            swatch.title = titleOf(index);
+            container.appendChild(swatch);
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LevelEditor };
+}
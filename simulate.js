@@ -0,0 +1,116 @@
+// Batch Simulation
+// Plays many bot games per difficulty tier (GameSimulation in game_core.js) and
+// prints how each tier plays out, for balancing DIFFICULTY_SETTINGS.
+// Run with `node simulate.js [--games N] [--tiers novice,easy] [--mode classic]
+// [--bot greedy] [--seed N] [--max-shots N] [--format csv|json] [--per-game]`.
+// Game i of a tier uses seed N + i, so runs are repeatable.
+
+const { GameSimulation, BOT_TYPES, DIFFICULTY_SETTINGS, SCORE_SOURCES } = require('./game_core.js');
+
+const END_REASONS = ['won', 'bottom', 'shots', 'time', 'stopped'];
+
+function parseArgs(argv) {
+    const args = {
+        games: 100,
+        tiers: Object.keys(DIFFICULTY_SETTINGS),
+        mode: 'classic',
+        bot: 'greedy',
+        seed: 1,
+        maxShots: undefined,
+        format: 'csv',
+        perGame: false
+    };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--games': args.games = Number(argv[++i]); break;
+            case '--tiers': args.tiers = argv[++i].split(','); break;
+            case '--mode': args.mode = argv[++i]; break;
+            case '--bot': args.bot = argv[++i]; break;
+            case '--seed': args.seed = Number(argv[++i]); break;
+            case '--max-shots': args.maxShots = Number(argv[++i]); break;
+            case '--format': args.format = argv[++i]; break;
+            case '--per-game': args.perGame = true; break;
+            default: throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    const unknownTier = args.tiers.find(tier => !DIFFICULTY_SETTINGS[tier]);
+    if (unknownTier) throw new Error(`Unknown tier: ${unknownTier}`);
+    if (!BOT_TYPES[args.bot]) throw new Error(`Unknown bot: ${args.bot}`);
+    if (!['classic', 'arcade', 'strategy'].includes(args.mode)) throw new Error(`Unknown mode: ${args.mode}`);
+    if (!['csv', 'json'].includes(args.format)) throw new Error(`Unknown format: ${args.format}`);
+    if (!(args.games > 0) || !Number.isInteger(args.seed)) throw new Error('--games and --seed take whole numbers');
+    return args;
+}
+
+// Averages and end-reason rates over one tier's games
+function summarize(tier, games) {
+    const average = field => games.reduce((sum, game) => sum + game[field], 0) / games.length;
+    const rate = end => games.filter(game => game.end === end).length / games.length;
+    return {
+        tier,
+        games: games.length,
+        winRate: rate('won'),
+        loseRate: rate('bottom'),
+        avgShots: average('shots'),
+        avgScore: average('score'),
+        avgSeconds: average('seconds'),
+        avgLevel: average('level'),
+        avgRowsAdded: average('rowsAdded'),
+        ends: Object.fromEntries(END_REASONS.map(end => [end, games.filter(game => game.end === end).length]))
+    };
+}
+
+function toCSV(rows) {
+    const flat = rows.map(row => {
+        const { ends, breakdown, ...fields } = row;
+        if (ends) return { ...fields, ...Object.fromEntries(END_REASONS.map(end => [`end_${end}`, ends[end]])) };
+        // Per-game rows: one column per score source
+        return { ...fields, ...Object.fromEntries(Object.keys(SCORE_SOURCES).map(source => [`score_${source}`, breakdown[source] || 0])) };
+    });
+    const columns = Object.keys(flat[0]);
+    const format = value => typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(3) : value;
+    return [columns.join(','), ...flat.map(row => columns.map(column => format(row[column])).join(','))].join('\n');
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error('Usage: node simulate.js [--games N] [--tiers novice,easy] [--mode classic|arcade|strategy] [--bot greedy|lookahead] [--seed N] [--max-shots N] [--format csv|json] [--per-game]');
+        return 2;
+    }
+
+    const started = Date.now();
+    const allGames = [];
+    const summaries = args.tiers.map(tier => {
+        const games = [];
+        for (let i = 0; i < args.games; i++) {
+            const simulation = new GameSimulation({
+                difficulty: tier,
+                mode: args.mode,
+                seed: args.seed + i,
+                bot: new BOT_TYPES[args.bot]({ delay: 0 }),
+                maxShots: args.maxShots
+            });
+            games.push(simulation.run());
+            process.stderr.write(`\r${tier}: ${i + 1}/${args.games} games`);
+        }
+        process.stderr.write('\n');
+        allGames.push(...games);
+        return summarize(tier, games);
+    });
+
+    const rows = args.perGame ? allGames : summaries;
+    if (args.format === 'json') {
+        console.log(JSON.stringify({ mode: args.mode, bot: args.bot, seed: args.seed, games: args.games, results: rows }, null, 2));
+    } else {
+        console.log(toCSV(rows));
+    }
+    console.error(`Simulated ${allGames.length} games in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+    return 0;
+}
+
+process.exitCode = main();
@@ -0,0 +1,73 @@
+// Level Solvability Checker
+// Searches a level file for the fewest shots that clear it, using the same
+// trajectories and board rules as the game (LevelSolver in game_core.js).
+// Run with `node solve_level.js level.json [--max-shots N] [--max-nodes N]`;
+// exits with 0 only when the level can be cleared.
+
+const fs = require('fs');
+const { LevelDefinition, LevelSolver, LEVEL_LEGEND } = require('./game_core.js');
+
+// Legend letter for a color, as written in level files
+function colorName(color) {
+    const letter = Object.keys(LEVEL_LEGEND).find(key => LEVEL_LEGEND[key] === color);
+    return letter || color;
+}
+
+function shots(count) {
+    return `${count} shot${count === 1 ? '' : 's'}`;
+}
+
+function parseArgs(argv) {
+    const args = { file: null, maxShots: undefined, maxNodes: undefined };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--max-shots') {
+            args.maxShots = Number(argv[++i]);
+        } else if (argv[i] === '--max-nodes') {
+            args.maxNodes = Number(argv[++i]);
+        } else {
+            args.file = argv[i];
+        }
+    }
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.file) {
+        console.log('Usage: node solve_level.js level.json [--max-shots N] [--max-nodes N]');
+        return 2;
+    }
+
+    let level;
+    try {
+        level = LevelDefinition.parse(fs.readFileSync(args.file, 'utf8'));
+    } catch (error) {
+        console.error(`Could not load ${args.file}: ${error.message}`);
+        return 2;
+    }
+
+    const solver = new LevelSolver(level, { maxShots: args.maxShots, maxNodes: args.maxNodes });
+    console.log(`🔎 Solving "${level.name}" in up to ${shots(solver.maxShots)}`);
+    const result = solver.solve();
+
+    if (result.solvable) {
+        console.log(`✅ Solvable in ${shots(result.shots)} (${result.nodes} boards searched)`);
+        result.solution.forEach((shot, index) => {
+            const degrees = Math.round(-shot.angle * 180 / Math.PI);
+            console.log(`  ${index + 1}. ${colorName(shot.color)} at ${degrees}° -> row ${shot.row}, col ${shot.col}${shot.fromPool ? ' (pool color)' : ''}`);
+        });
+        if (result.usedPoolColors) {
+            console.log('⚠️ Relies on pool colors past the shooter sequence, so players need luck to match it');
+        }
+        return 0;
+    }
+
+    if (result.solvable === false) {
+        console.log(`❌ Not solvable in ${shots(solver.maxShots)} (${result.nodes} boards searched)`);
+    } else {
+        console.log(`⏱️ Gave up after ${result.nodes} boards; raise --max-nodes to search further`);
+    }
+    return 1;
+}
+
+process.exitCode = main();
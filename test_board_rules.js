@@ -0,0 +1,626 @@
+// Board Rules Test Script
+// Exercises the headless board (game_core.js) - snapping, matching, popping,
+// avalanches and new rows - without a canvas. Run with `node test_board_rules.js`.
+
+const Core = typeof module !== 'undefined' && module.exports
+    ? require('./game_core.js')
+    : { Board, BoardGeometry, SeededRandom, LevelDefinition, LevelSolver, CollisionPredictor, ReplayLog, loadShot, shooterPool, rerollShots, BOT_TYPES, GreedyBot, GameSimulation, STRATEGY_SHOTS, SPECIAL_SHOT_COLORS, STONE_COLOR, SHOOTER_BASE_WEIGHT, getLevelSettings, BUBBLE_COLORS, GRID_ROWS, MISSED_SHOTS_LIMIT, MAX_START_ROWS, ScoringRules, POINTS_PER_BUBBLE, AVALANCHE_BONUS, COMBO_STEP, BANK_SHOT_MULTIPLIER };
+
+const RED = Core.BUBBLE_COLORS[0];
+const TEAL = Core.BUBBLE_COLORS[1];
+const BLUE = Core.BUBBLE_COLORS[2];
+
+// Flying bubble stand-in aimed at the centre of a grid cell
+function shotAt(board, row, col, color) {
+    return { x: board.getColPosition(row, col), y: board.getRowPosition(row), color, radius: 20 };
+}
+
+// Test that a shot snaps into the free cell it lands on
+function testSnapToCell() {
+    console.log('\n📍 Testing Snap To Cell');
+
+    const board = new Core.Board();
+    board.placeBubble(0, 0, RED);
+
+    const result = board.snapBubbleToGrid(shotAt(board, 0, 1, TEAL));
+    console.log('Snap result:', result && { row: result.row, col: result.col });
+
+    return result !== null && result.row === 0 && result.col === 1 &&
+        board.gridBubbles[0][1].color === TEAL && board.gridBubbles[0][1].stuck;
+}
+
+// Test that three connected bubbles of one color pop and score
+function testMatchPop() {
+    console.log('\n💥 Testing Match And Pop');
+
+    const board = new Core.Board();
+    board.placeBubble(0, 0, RED);
+    board.placeBubble(0, 1, RED);
+    board.placeBubble(0, 5, BLUE);
+
+    const result = board.snapBubbleToGrid(shotAt(board, 0, 2, RED));
+    console.log(`Popped ${result.popped.length}, score ${board.score}`);
+
+    return result.popped.length === 3 &&
+        board.gridBubbles[0][0] === null &&
+        board.countBubbles() === 1 &&
+        board.score === 3 * Core.POINTS_PER_BUBBLE &&
+        board.missedShots === 0;
+}
+
+// Test that bubbles left hanging after a pop fall as an avalanche
+function testAvalanche() {
+    console.log('\n🏔️ Testing Avalanche');
+
+    const board = new Core.Board();
+    board.placeBubble(0, 0, RED);
+    board.placeBubble(0, 1, RED);
+    board.placeBubble(1, 0, BLUE); // Hangs from (0,0) and (0,1)
+    board.placeBubble(2, 0, BLUE); // Hangs from (1,0)
+
+    const result = board.snapBubbleToGrid(shotAt(board, 0, 2, RED));
+    console.log(`Popped ${result.popped.length}, dropped ${result.dropped.length}, score ${board.score}`);
+
+    return result.popped.length === 3 &&
+        result.dropped.length === 2 &&
+        result.dropped.every(b => b.falling) &&
+        board.countBubbles() === 0 &&
+        board.score === 3 * Core.POINTS_PER_BUBBLE + 2 * Core.AVALANCHE_BONUS;
+}
+
+// Test that successful shots in a row build a combo multiplier, a bank shot adds
+// its own, and a miss resets the combo
+function testComboMultiplier() {
+    console.log('\n🔥 Testing Combo Multiplier');
+
+    const board = new Core.Board();
+    [RED, RED, null, TEAL, TEAL, null, BLUE, BLUE].forEach((color, col) => color && board.placeBubble(0, col, color));
+
+    const first = board.snapBubbleToGrid(shotAt(board, 0, 2, RED));
+    const bank = board.snapBubbleToGrid({ ...shotAt(board, 0, 5, TEAL), wallBounced: true });
+    const miss = board.snapBubbleToGrid(shotAt(board, 0, 9, RED));
+    const fresh = board.snapBubbleToGrid(shotAt(board, 0, 8, BLUE));
+    console.log('Points per shot:', [first, bank, miss, fresh].map(result => result.points), 'multipliers:', bank.multipliers);
+
+    const base = 3 * Core.POINTS_PER_BUBBLE;
+    const bankMultiplier = (1 + Core.COMBO_STEP) * Core.BANK_SHOT_MULTIPLIER;
+    return first.points === base && first.combo === 1 &&
+        bank.combo === 2 && bank.points === Math.round(base * bankMultiplier) &&
+        miss.points === 0 && miss.combo === 0 &&
+        fresh.points === base && fresh.combo === 1 &&
+        board.score === first.points + bank.points + fresh.points;
+}
+
+// Test that scoring rules come from the mode plus overrides, reject bad values, and
+// that the board books every point in a breakdown that adds up to its score
+function testScoringRules() {
+    console.log('\n📐 Testing Scoring Rules');
+
+    const strategy = Core.ScoringRules.forMode('strategy', { popPoints: 20 });
+    const bonuses = strategy.levelBonuses({ levelScore: 100, cleared: true, shotsLeft: 3 });
+    let rejected = 0;
+    [{ popPoints: -1 }, { buckets: [] }, { avalancheStep: 0 }, { clearMultiplier: 0.5 }, { jackpot: 1 }].forEach(options => {
+        try {
+            new Core.ScoringRules(options);
+        } catch (error) {
+            rejected++;
+        }
+    });
+
+    const board = new Core.Board({ scoring: new Core.ScoringRules({ popPoints: 20, avalanchePoints: 7 }) });
+    [RED, RED, null, TEAL, TEAL].forEach((color, col) => color && board.placeBubble(0, col, color));
+    board.placeBubble(1, 3, BLUE);
+    board.snapBubbleToGrid(shotAt(board, 0, 2, RED));
+    board.snapBubbleToGrid({ ...shotAt(board, 0, 5, TEAL), wallBounced: true });
+    const booked = Object.values(board.scoreBreakdown).reduce((sum, points) => sum + points, 0);
+    console.log('Bonuses:', bonuses, 'breakdown:', board.scoreBreakdown, 'score:', board.score, 'rejected:', rejected);
+
+    return strategy.popPoints === 20 && strategy.shotBonus > 0 && strategy.timeBonus === 0 &&
+        bonuses.clearBonus === 100 * (strategy.clearMultiplier - 1) && bonuses.shotBonus === 3 * strategy.shotBonus &&
+        bonuses.timeBonus === 0 && rejected === 5 &&
+        board.scoreBreakdown.pops === 6 * 20 && board.scoreBreakdown.avalanches === 7 &&
+        board.scoreBreakdown.combos > 0 && board.scoreBreakdown.bankShots > 0 && booked === board.score;
+}
+
+// Test that misses count up and defer a new row at the limit
+function testMissCounter() {
+    console.log('\n🎯 Testing Miss Counter');
+
+    const board = new Core.Board();
+    const colors = [TEAL, BLUE];
+    const changes = [];
+    for (let col = 0; col < Core.MISSED_SHOTS_LIMIT; col++) {
+        changes.push(board.snapBubbleToGrid(shotAt(board, 0, col, colors[col % 2])).missesChanged);
+    }
+    console.log('After misses:', { missedShots: board.missedShots, pendingNewRow: board.pendingNewRow, changes });
+
+    // With a limit of one, every miss goes 0 -> 1 -> 0 and still counts as a change;
+    // a hit with no misses counted changes nothing
+    const single = new Core.Board({ missLimit: 1 });
+    const singleMiss = single.snapBubbleToGrid(shotAt(single, 0, 0, RED));
+    single.placeBubble(0, 1, RED);
+    const hit = single.snapBubbleToGrid(shotAt(single, 0, 2, RED));
+    console.log('Limit of one:', { missesChanged: singleMiss.missesChanged, hitChanged: hit.missesChanged, popped: hit.popped.length });
+
+    return board.pendingNewRow === true && board.missedShots === 0 && changes.every(Boolean) &&
+        singleMiss.missesChanged && single.missedShots === 0 && single.pendingNewRow &&
+        hit.popped.length === 3 && hit.missesChanged === false;
+}
+
+// Test that a bomb destroys every bubble within its radius, whatever the color,
+// drops what was left hanging, and is a dud - no points, a miss - when it catches nothing
+function testBomb() {
+    console.log('\n💣 Testing Bomb');
+
+    const board = new Core.Board();
+    [RED, TEAL, BLUE, RED, TEAL, BLUE].forEach((color, col) => board.placeBubble(0, col, color));
+    board.placeBubble(1, 2, TEAL);
+    board.placeBubble(2, 2, BLUE);
+    board.placeBubble(2, 3, RED); // Hangs from (1,2) only
+    board.missedShots = 1;
+
+    const bomb = { ...shotAt(board, 1, 1, Core.SPECIAL_SHOT_COLORS.bomb), type: 'bomb' };
+    const result = board.snapBubbleToGrid(bomb);
+    const left = board.serializeGrid()[0].slice(0, 6).map(color => color !== null);
+    console.log('Bomb result:', { popped: result.popped.length, dropped: result.dropped.length, left, missedShots: board.missedShots });
+
+    const scoreBefore = board.score;
+    const dud = board.snapBubbleToGrid({ ...shotAt(board, 3, 8, Core.SPECIAL_SHOT_COLORS.bomb), type: 'bomb' });
+    console.log('Dud result:', dud && { row: dud.row, popped: dud.popped.length, points: dud.points, missedShots: board.missedShots });
+
+    return result.special === 'bomb' && result.popped.length === 5 && result.popped.includes(bomb) &&
+        result.dropped.length === 1 && result.dropped[0].color === RED &&
+        JSON.stringify(left) === JSON.stringify([true, false, false, true, true, true]) &&
+        board.gridBubbles[1][1] === null && result.points === 5 * Core.POINTS_PER_BUBBLE &&
+        dud && dud.popped.length === 0 && dud.points === 0 && dud.dud && dud.dud.type === 'bomb' &&
+        board.score === scoreBefore && board.gridBubbles[3][8] === null &&
+        board.missedShots === 1 && board.countBubbles() === 4;
+}
+
+// Test that lightning clears the row it lands in (stones excepted) and drops what
+// hung from it, and that paint recolors its neighbours before matching
+function testLightningAndPaint() {
+    console.log('\n⚡ Testing Lightning And Paint');
+
+    const board = new Core.Board();
+    board.loadGrid([[RED, TEAL, BLUE], [null, TEAL, { color: Core.STONE_COLOR, type: 'stone' }], [null, BLUE]]);
+    const bolt = board.snapBubbleToGrid({ ...shotAt(board, 1, 0, Core.SPECIAL_SHOT_COLORS.lightning), type: 'lightning' });
+    console.log('Lightning:', { popped: bolt.popped.length, dropped: bolt.dropped.length, grid: board.serializeGrid().slice(0, 2).map(cells => cells.slice(0, 3)) });
+
+    const canvas = new Core.Board();
+    canvas.loadGrid([[RED, RED, null, TEAL, TEAL]]);
+    const splash = canvas.snapBubbleToGrid({ ...shotAt(canvas, 0, 2, TEAL), type: 'paint' });
+    console.log('Paint:', { painted: splash.painted.length, popped: splash.popped.length, left: canvas.serializeGrid()[0].slice(0, 5) });
+
+    const loaded = Core.loadShot(new Core.SeededRandom(1), [BLUE], { paint: 1 });
+
+    return bolt.special === 'lightning' && bolt.popped.length === 2 && bolt.dropped.length === 1 &&
+        board.gridBubbles[1][2].type === 'stone' && board.countBubbles() === 3 &&
+        splash.special === 'paint' && splash.painted.length === 1 && splash.popped.length === 4 &&
+        JSON.stringify(canvas.serializeGrid()[0].slice(0, 5)) === JSON.stringify([RED, null, null, null, null]) &&
+        loaded.type === 'paint' && loaded.color === BLUE;
+}
+
+// Test that rainbow wildcards match any color: a rainbow shot joins the largest
+// neighbouring group (the earlier BUBBLE_COLORS color on a tie) and one on the grid
+// joins groups on either side
+function testRainbow() {
+    console.log('\n🌈 Testing Rainbow Wildcard');
+
+    const RAINBOW = Core.SPECIAL_SHOT_COLORS.rainbow;
+    const rainbowAt = (board, row, col) => ({ ...shotAt(board, row, col, RAINBOW), type: 'rainbow' });
+    const shoot = (cells, shot) => {
+        const board = new Core.Board();
+        board.loadGrid([cells]);
+        return { board, result: board.snapBubbleToGrid(shot(board)) };
+    };
+
+    const tie = shoot([RED, RED, null, TEAL, TEAL], board => rainbowAt(board, 0, 2));
+    const larger = shoot([RED, RED, null, TEAL, TEAL, TEAL], board => rainbowAt(board, 0, 2));
+    const bridge = shoot([BLUE, { color: RAINBOW, type: 'rainbow' }, TEAL], board => shotAt(board, 0, 3, TEAL));
+    console.log('Rainbow shots:', {
+        tie: tie.result.color === RED && tie.result.popped.length,
+        larger: larger.result.color === TEAL && larger.result.popped.length,
+        bridge: bridge.board.serializeGrid()[0].slice(0, 4)
+    });
+
+    const kept = new Core.Board();
+    kept.loadGrid([[RED, { color: RAINBOW, type: 'rainbow' }]]);
+
+    return tie.result.popped.length === 3 && tie.result.color === RED && tie.board.serializeGrid()[0][3] === TEAL &&
+        larger.result.popped.length === 4 && larger.result.color === TEAL &&
+        bridge.result.popped.length === 3 && JSON.stringify(bridge.board.serializeGrid()[0].slice(0, 4)) === JSON.stringify([BLUE, null, null, null]) &&
+        JSON.stringify(kept.serializeGrid()[0].slice(0, 2)) === JSON.stringify([RED, { color: RAINBOW, type: 'rainbow' }]);
+}
+
+// Test that a new row pushes existing bubbles down one row
+function testAddNewRow() {
+    console.log('\n⬇️ Testing Add New Row');
+
+    const board = new Core.Board();
+    const bubble = board.placeBubble(0, 3, BLUE);
+    board.addNewRow([RED]);
+
+    console.log('Moved bubble:', { row: bubble.row, col: bubble.col, y: bubble.y.toFixed(2) });
+
+    return board.gridBubbles[1][3] === bubble &&
+        bubble.row === 1 &&
+        bubble.y === board.getRowPosition(1) &&
+        board.gridBubbles[0].some(b => b && b.color === RED) &&
+        !board.hasReachedBottom();
+}
+
+// Test that the grid reports reaching the bottom row
+function testReachedBottom() {
+    console.log('\n🚩 Testing Lose Line');
+
+    const board = new Core.Board();
+    for (let row = 0; row < Core.GRID_ROWS; row++) {
+        board.placeBubble(row, 0, row % 2 ? RED : TEAL);
+    }
+
+    return board.hasReachedBottom();
+}
+
+// Test that the same seed always builds the same board
+function testSeededFill() {
+    console.log('\n🎲 Testing Seeded Board Fill');
+
+    const colors = Core.BUBBLE_COLORS.slice(0, 4);
+    const layout = seed => {
+        const board = new Core.Board({ random: new Core.SeededRandom(seed) });
+        board.fill(5, colors);
+        board.addNewRow(colors);
+        return board.gridBubbles.map(row => row.map(b => b ? b.color : '-').join(',')).join('|');
+    };
+
+    const first = layout(12345);
+    const again = layout('12345');
+    const other = layout('another seed');
+    console.log(`Same seed matches: ${first === again}, different seed differs: ${first !== other}`);
+
+    return first === again && first !== other;
+}
+
+// Test that a serialized grid loads back into the same layout
+function testGridRoundTrip() {
+    console.log('\n💾 Testing Grid Round Trip');
+
+    const board = new Core.Board({ random: new Core.SeededRandom(7) });
+    board.fill(4, Core.BUBBLE_COLORS.slice(0, 4));
+    const cells = JSON.parse(JSON.stringify(board.serializeGrid()));
+
+    const restored = new Core.Board();
+    restored.placeBubble(9, 0, RED); // Replaced by the load
+    restored.loadGrid(cells);
+
+    const layout = b => b.gridBubbles.map(row => row.map(c => c ? c.color : '-').join(',')).join('|');
+    const restoredBubble = restored.gridBubbles.flat().find(b => b);
+    console.log(`Layouts match: ${layout(board) === layout(restored)}`);
+
+    return layout(board) === layout(restored) &&
+        restored.countBubbles() === board.countBubbles() &&
+        restoredBubble.stuck &&
+        restoredBubble.x === restored.getColPosition(restoredBubble.row, restoredBubble.col);
+}
+
+// Test that a custom geometry changes the grid size, positions and lose line
+function testCustomGeometry() {
+    console.log('\n📐 Testing Custom Geometry');
+
+    const geometry = new Core.BoardGeometry({ bubbleRadius: 14, rows: 14, cols: 20 });
+    const board = new Core.Board({ geometry, width: geometry.naturalWidth });
+    const bubble = board.placeBubble(12, 19, RED);
+
+    const sizeOk = board.gridBubbles.length === 14 && board.gridBubbles[0].length === 20 &&
+        board.getEffectiveCols() === 20;
+    const positionOk = bubble.radius === 14 &&
+        bubble.x === 19 * 28 + 14 && // Even row: no hex offset
+        Math.abs(bubble.y - (12 * 14 * Math.sqrt(3) + 28)) < 1e-9;
+    const notLostYet = !board.hasReachedBottom();
+    board.placeBubble(13, 0, TEAL);
+    console.log('Custom board:', { sizeOk, positionOk, notLostYet, lost: board.hasReachedBottom() });
+
+    return sizeOk && positionOk && notLostYet && board.hasReachedBottom();
+}
+
+// Test that the snap search used by the aim preview agrees with the real snap
+function testFindSnapCell() {
+    console.log('\n👻 Testing Find Snap Cell');
+
+    const board = new Core.Board({ random: new Core.SeededRandom(3) });
+    board.fill(4, Core.BUBBLE_COLORS.slice(0, 4));
+    const shot = { x: 130, y: 170, color: RED, radius: 20 };
+
+    const before = board.countBubbles();
+    const predicted = board.findSnapCell(shot);
+    const unchanged = board.countBubbles() === before;
+    const result = board.snapBubbleToGrid(shot);
+    console.log('Predicted:', { row: predicted.row, col: predicted.col }, 'snapped:', result && { row: result.row, col: result.col });
+
+    return unchanged && result !== null && predicted.row === result.row && predicted.col === result.col;
+}
+
+// Test that later levels get harder within their caps and the miss limit follows
+function testLevelSettings() {
+    console.log('\n🪜 Testing Level Settings');
+
+    const base = { rowsToStart: 3, colors: 3, addRowFrequency: 10 };
+    const first = Core.getLevelSettings(base, 1);
+    const third = Core.getLevelSettings(base, 3);
+    const last = Core.getLevelSettings(base, 40);
+    console.log('Levels:', { first, third, last });
+
+    const board = new Core.Board({ missLimit: third.addRowFrequency });
+    for (let col = 0; col < third.addRowFrequency; col++) {
+        board.snapBubbleToGrid(shotAt(board, 0, col, col % 2 ? TEAL : BLUE));
+    }
+
+    return first.rowsToStart === 3 && first.colors === 3 && first.addRowFrequency === 10 &&
+        third.rowsToStart === 5 && third.colors === 4 && third.addRowFrequency === 9 &&
+        last.rowsToStart === Core.MAX_START_ROWS && last.colors === Core.BUBBLE_COLORS.length && last.addRowFrequency === 2 &&
+        board.pendingNewRow === true;
+}
+
+// Test that a level file loads onto the board and bad files are rejected
+function testLevelFile() {
+    console.log('\n🗺️ Testing Level File');
+
+    const file = {
+        version: 1,
+        name: 'Steps',
+        grid: ['RRT', '.TB'],
+        shooter: { sequence: 'TB' },
+        rules: { mode: 'strategy', shotLimit: 10 },
+        objectives: [{ type: 'pop', color: 'T', count: 3 }]
+    };
+    const level = Core.LevelDefinition.parse(JSON.stringify(file));
+    const board = new Core.Board();
+    board.loadLevel(level);
+
+    const loaded = board.countBubbles() === 5 &&
+        board.gridBubbles[0][2].color === TEAL && board.gridBubbles[1][2].color === BLUE;
+    const roundTrip = JSON.stringify(Core.LevelDefinition.parse(level.toJSON()).toJSON()) === JSON.stringify(level.toJSON());
+    const rejects = [
+        { ...file, grid: ['RZ'] },              // Unknown cell
+        { ...file, grid: ['R', '..B'] },        // Not connected to the top
+        { ...file, rules: { shotLimit: 10 } }   // Shot limit outside strategy mode
+    ].every(bad => {
+        try {
+            Core.LevelDefinition.parse(bad);
+            return false;
+        } catch (error) {
+            console.log('Rejected:', error.message);
+            return true;
+        }
+    });
+    console.log('Level file:', { loaded, roundTrip, rejects, pool: level.pool });
+
+    return loaded && roundTrip && rejects &&
+        level.sequence.join() === [TEAL, BLUE].join() &&
+        level.pool.length === 3 &&
+        level.objectives[0].color === TEAL;
+}
+
+// Test level obstacles: stones never pop but fall once cut loose and do not count
+// toward clearing the board; ice cracks from pops next to it before it can match
+function testObstacles() {
+    console.log('\n🧊 Testing Stone And Ice');
+
+    const file = {
+        version: 1,
+        legend: { S: { type: 'stone' }, I: { color: RED, type: 'ice', hits: 2 } },
+        grid: ['RRS', 'S.I']
+    };
+    const level = Core.LevelDefinition.parse(file);
+    const board = new Core.Board();
+    board.loadLevel(level);
+
+    const popped = board.snapBubbleToGrid(shotAt(board, 1, 1, RED));
+    const ice = board.gridBubbles[1][2];
+    const saved = board.serializeGrid();
+    console.log('After pop:', { popped: popped.popped.length, dropped: popped.dropped.map(b => b.type), ice: ice.hits, left: board.countBubbles() });
+
+    const frozen = board.snapBubbleToGrid(shotAt(board, 1, 3, RED));
+    const blast = board.snapBubbleToGrid({ ...shotAt(board, 0, 3, Core.SPECIAL_SHOT_COLORS.bomb), type: 'bomb' });
+    console.log('Frozen match:', frozen.matches.length, 'blast:', blast.popped.length, 'stone left:', !!board.gridBubbles[0][2]);
+
+    const roundTrip = JSON.stringify(Core.LevelDefinition.parse(level.toJSON()).toJSON()) === JSON.stringify(level.toJSON());
+    const badHits = (() => {
+        try {
+            Core.LevelDefinition.parse({ ...file, legend: { I: { color: RED, type: 'ice', hits: 0 } } });
+            return false;
+        } catch (error) {
+            return true;
+        }
+    })();
+
+    return popped.popped.length === 3 && popped.dropped.length === 1 && popped.dropped[0].type === 'stone' &&
+        popped.cracked.length === 1 && ice.hits === 1 && ice.type === 'ice' &&
+        JSON.stringify(saved[1][2]) === JSON.stringify({ color: RED, type: 'ice', hits: 1 }) &&
+        JSON.stringify(saved[0][2]) === JSON.stringify({ color: Core.STONE_COLOR, type: 'stone' }) &&
+        frozen.matches.length === 1 && blast.popped.length === 3 && board.gridBubbles[0][2].type === 'stone' &&
+        board.countBubbles() === 0 && roundTrip && badHits;
+}
+
+// Test that the solver finds the shortest clear and respects the shot limit
+function testLevelSolver() {
+    console.log('\n🔎 Testing Level Solver');
+
+    const file = { version: 1, grid: ['RRTT'], shooter: { sequence: 'RT' }, rules: { mode: 'strategy', shotLimit: 2 } };
+    const solved = new Core.LevelSolver(Core.LevelDefinition.parse(file)).solve();
+    const tooShort = new Core.LevelSolver(Core.LevelDefinition.parse({ ...file, rules: { mode: 'strategy', shotLimit: 1 } })).solve();
+    const budget = new Core.LevelSolver(Core.LevelDefinition.parse({ version: 1, grid: ['RTBRTB', 'TBRTBR'] }), { maxNodes: 5 }).solve();
+    // The stone never needs clearing; a solver that saw it as a color could not finish
+    const obstacle = new Core.LevelSolver(Core.LevelDefinition.parse({
+        version: 1, legend: { S: { type: 'stone' } }, grid: ['RRSRR', '.RR'], shooter: { sequence: 'R' }
+    })).solve();
+    console.log('Solver:', { solved: [solved.solvable, solved.shots], tooShort: tooShort.solvable, budget: [budget.solvable, budget.nodes], obstacle: [obstacle.solvable, obstacle.shots] });
+
+    // Replaying the solution on a real board clears it
+    const board = new Core.Board();
+    board.loadLevel(Core.LevelDefinition.parse(file));
+    solved.solution.forEach(shot => board.snapBubbleToGrid(shotAt(board, shot.row, shot.col, shot.color)));
+
+    return solved.solvable === true && solved.shots === 2 && !solved.usedPoolColors &&
+        solved.solution.map(shot => shot.color).join() === [RED, TEAL].join() &&
+        board.countBubbles() === 0 &&
+        tooShort.solvable === false &&
+        budget.solvable === null && budget.nodes === 5 &&
+        obstacle.solvable === true && obstacle.shots === 1;
+}
+
+// Test that both bots take the shot that completes a match
+function testBots() {
+    console.log('\n🤖 Testing Bots');
+
+    return ['greedy', 'lookahead'].every(name => {
+        const board = new Core.Board();
+        board.loadLevel(Core.LevelDefinition.parse({ version: 1, grid: ['TT..RR', 'B....B'] }));
+        const shooter = { x: board.width / 2, y: board.width * 1.6 - 100 };
+        const bot = new Core.BOT_TYPES[name]();
+        const angle = bot.chooseShot({ board, ...shooter, currentColor: RED, nextColor: TEAL });
+
+        // Fire the chosen shot for real
+        const { points } = new Core.CollisionPredictor(board.geometry).traceShot(board, shooter.x, shooter.y, angle);
+        const contact = points[points.length - 1];
+        const result = board.snapBubbleToGrid({ x: contact.x, y: contact.y, color: RED, radius: board.geometry.bubbleRadius });
+        console.log(`${name} bot:`, { angle: angle.toFixed(3), landed: result && [result.row, result.col], popped: result && result.popped.length });
+
+        return result !== null && result.popped.length === 3;
+    });
+}
+
+// Test that a simulated game is repeatable from its seed and keeps Game's shot budget
+function testGameSimulation() {
+    console.log('\n🎲 Testing Game Simulation');
+
+    const play = () => new Core.GameSimulation({ difficulty: 'medium', mode: 'strategy', seed: 11, bot: new Core.GreedyBot({ angles: 16 }) }).run();
+    const first = play();
+    const second = play();
+    console.log('Simulated game:', first);
+
+    return JSON.stringify(first) === JSON.stringify(second) &&
+        // Each level gets a fresh shot budget; the game ends when one runs out
+        first.end === 'shots' && first.shots >= Core.STRATEGY_SHOTS && first.shots <= Core.STRATEGY_SHOTS * first.level &&
+        first.score > 0 && first.seconds > first.shots;
+}
+
+// Test that each clear bonus multiplies only its own level's points: summed over
+// several cleared levels it stays within the multiplier of everything else scored
+function testClearBonus() {
+    console.log('\n🏁 Testing Clear Bonus');
+
+    const result = new Core.GameSimulation({ difficulty: 'novice', seed: 1, maxShots: 60, bot: new Core.GreedyBot({ angles: 16 }) }).run();
+    const { clearBonus } = result.breakdown;
+    const multiplier = new Core.ScoringRules().clearMultiplier;
+    console.log('Cleared levels:', result.level - 1, 'clear bonus:', clearBonus, 'other points:', result.score - clearBonus);
+
+    return result.level >= 3 && clearBonus > 0 && clearBonus <= (multiplier - 1) * (result.score - clearBonus);
+}
+
+// Test that the shooter loads only colors still on the board, weighted by how
+// many bubbles each has, and re-rolls loaded shots whose color was cleared
+function testShooterPool() {
+    console.log('\n🎨 Testing Shooter Pool');
+
+    const board = new Core.Board();
+    [RED, RED, RED, TEAL].forEach((color, col) => board.placeBubble(0, col, color));
+    board.placeBubble(0, 5, Core.STONE_COLOR, 'stone');
+    const colors = [RED, TEAL, BLUE];
+    const pool = Core.shooterPool(board, colors);
+    const count = color => pool.filter(entry => entry === color).length;
+    console.log('Pool counts:', { red: count(RED), teal: count(TEAL), blue: count(BLUE) });
+
+    const shots = [{ color: BLUE, type: 'normal' }, { color: TEAL, type: 'normal' }, { color: Core.SPECIAL_SHOT_COLORS.bomb, type: 'bomb' }];
+    Core.rerollShots(new Core.SeededRandom(4), shots, [RED]);
+
+    return count(RED) > count(TEAL) && count(TEAL) > 0 && count(BLUE) === 0 &&
+        pool.length === 4 + 2 * Core.SHOOTER_BASE_WEIGHT &&
+        JSON.stringify(Core.shooterPool(new Core.Board(), colors)) === JSON.stringify(colors) &&
+        shots[0].color === RED && shots[1].color === RED && shots[2].color === Core.SPECIAL_SHOT_COLORS.bomb;
+}
+
+// Test that swaps and holds survive a replay log's JSON round trip, and that
+// malformed ones are rejected
+function testReplaySwaps() {
+    console.log('\n🔁 Testing Replay Swaps');
+
+    const log = new Core.ReplayLog({ seed: 3, mode: 'classic', difficulty: 'master', width: 400, height: 640 });
+    log.recordShot(60, -1.2);
+    log.recordSwap(75, 'swap');
+    log.recordSwap(75, 'hold');
+    const restored = Core.ReplayLog.parse(JSON.stringify(log.toJSON()));
+    const rejects = swaps => {
+        try {
+            Core.ReplayLog.parse({ ...log.toJSON(), swaps });
+            return false;
+        } catch (error) {
+            return true;
+        }
+    };
+    console.log('Recorded swaps:', JSON.stringify(restored.swaps));
+
+    return JSON.stringify(restored.swaps) === '[[75,1,"swap"],[75,1,"hold"]]' &&
+        restored.endTick === 75 && rejects([[75, 1]]) && rejects([[75, 1, 'flip']]);
+}
+
+// Run all tests
+function runAllTests() {
+    console.log('🧪 Running Board Rules Test Suite');
+    console.log('=================================');
+
+    const tests = [
+        { name: 'Snap To Cell', test: testSnapToCell },
+        { name: 'Match And Pop', test: testMatchPop },
+        { name: 'Avalanche', test: testAvalanche },
+        { name: 'Miss Counter', test: testMissCounter },
+        { name: 'Combo Multiplier', test: testComboMultiplier },
+        { name: 'Scoring Rules', test: testScoringRules },
+        { name: 'Bomb', test: testBomb },
+        { name: 'Lightning And Paint', test: testLightningAndPaint },
+        { name: 'Rainbow Wildcard', test: testRainbow },
+        { name: 'Add New Row', test: testAddNewRow },
+        { name: 'Lose Line', test: testReachedBottom },
+        { name: 'Seeded Board Fill', test: testSeededFill },
+        { name: 'Grid Round Trip', test: testGridRoundTrip },
+        { name: 'Custom Geometry', test: testCustomGeometry },
+        { name: 'Find Snap Cell', test: testFindSnapCell },
+        { name: 'Level Settings', test: testLevelSettings },
+        { name: 'Level File', test: testLevelFile },
+        { name: 'Stone And Ice', test: testObstacles },
+        { name: 'Level Solver', test: testLevelSolver },
+        { name: 'Bots', test: testBots },
+        { name: 'Shooter Pool', test: testShooterPool },
+        { name: 'Game Simulation', test: testGameSimulation },
+        { name: 'Clear Bonus', test: testClearBonus },
+        { name: 'Replay Swaps', test: testReplaySwaps }
+    ];
+
+    const results = tests.map(({ name, test }) => {
+        try {
+            const passed = test();
+            console.log(`${passed ? '✅' : '❌'} ${name}: ${passed ? 'PASSED' : 'FAILED'}`);
+            return { name, passed };
+        } catch (error) {
+            console.log(`❌ ${name}: FAILED - ${error.message}`);
+            return { name, passed: false, error: error.message };
+        }
+    });
+
+    const passedTests = results.filter(r => r.passed).length;
+    console.log(`\n📊 Tests passed: ${passedTests}/${results.length}`);
+
+    return { passed: passedTests, total: results.length, results };
+}
+
+// Export for use in browser console
+if (typeof window !== 'undefined') {
+    window.BoardRulesTests = { runAllTests };
+}
+
+// Auto-run tests when executed directly with Node
+if (typeof require !== 'undefined' && typeof module !== 'undefined' && require.main === module) {
+    const { passed, total } = runAllTests();
+    process.exitCode = passed === total ? 0 : 1;
+}
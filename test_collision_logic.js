@@ -1,6 +1,12 @@
 // Enhanced Collision Logic Test Script
 // This script demonstrates and validates the improved collision detection system
 
+// Under Node (`node test_collision_logic.js`) load the headless core; in the
+// browser it is already on the page through game_core.js
+const Core = typeof module !== 'undefined' && module.exports
+    ? require('./game_core.js')
+    : { CollisionPredictor, DebugLogger, BoardGeometry };
+
 console.log('🎯 Testing Enhanced Bubble Shooter Collision Logic');
 console.log('================================================');
 
@@ -8,7 +14,7 @@ console.log('================================================');
 function testCollisionPrediction() {
     console.log('\n🔮 Testing Collision Prediction System');
     
-    const predictor = new CollisionPredictor();
+    const predictor = new Core.CollisionPredictor();
     
     // Create a test bubble
     const testBubble = {
@@ -37,7 +43,7 @@ function testCollisionPrediction() {
 function testDebugLogger() {
     console.log('\n📝 Testing Debug Logger System');
     
-    const logger = new DebugLogger(true);
+    const logger = new Core.DebugLogger(true);
     
     // Test different log categories
     logger.log('collision', 'Test collision event', { x: 100, y: 200 });
@@ -54,56 +60,77 @@ function testDebugLogger() {
     return report.frame === 1;
 }
 
-// Test hexagonal grid calculations
+// Test hexagonal grid calculations for the default and a small-bubble geometry
 function testHexagonalGrid() {
     console.log('\n⬢ Testing Hexagonal Grid Precision');
     
-    const BUBBLE_RADIUS = 20;
-    const GRID_COL_SPACING = BUBBLE_RADIUS * 2;
-    const GRID_ROW_HEIGHT = BUBBLE_RADIUS * Math.sqrt(3);
-    const HEX_OFFSET = BUBBLE_RADIUS;
+    const isPrecise = geometry => {
+        const radius = geometry.bubbleRadius;
+        
+        // Test perfect hexagonal distances
+        const testCases = [
+            { row: 0, col: 0 },
+            { row: 0, col: 1 },
+            { row: 1, col: 0 },
+            { row: 1, col: 1 }
+        ];
+        
+        console.log(`Grid position calculations (radius ${radius}):`);
+        testCases.forEach(({ row, col }) => {
+            const x = geometry.getColPosition(row, col);
+            const y = geometry.getRowPosition(row);
+            console.log(`  (${row}, ${col}) -> (${x}, ${y})`);
+        });
+        
+        // Verify hexagonal neighbor distances
+        const pos1 = { x: geometry.getColPosition(0, 0), y: geometry.getRowPosition(0) };
+        const pos2 = { x: geometry.getColPosition(0, 1), y: geometry.getRowPosition(0) };
+        const pos3 = { x: geometry.getColPosition(1, 0), y: geometry.getRowPosition(1) };
+        
+        const horizontalDistance = Math.abs(pos2.x - pos1.x);
+        const diagonalDistance = Math.sqrt((pos3.x - pos1.x) ** 2 + (pos3.y - pos1.y) ** 2);
+        
+        console.log(`Horizontal neighbor distance: ${horizontalDistance} (expected: ${radius * 2})`);
+        console.log(`Diagonal neighbor distance: ${diagonalDistance.toFixed(2)} (expected: ${(radius * 2).toFixed(2)})`);
+        
+        const horizontalPrecise = Math.abs(horizontalDistance - radius * 2) < 0.001;
+        const diagonalPrecise = Math.abs(diagonalDistance - radius * 2) < 0.001;
+        
+        return horizontalPrecise && diagonalPrecise;
+    };
     
-    function getColPosition(row, col) {
-        const isOddRow = row % 2 === 1;
-        const baseX = col * GRID_COL_SPACING + BUBBLE_RADIUS;
-        const offsetX = isOddRow ? HEX_OFFSET : 0;
-        return baseX + offsetX;
-    }
+    const defaultGeometry = new Core.BoardGeometry();
+    const smallBubbles = new Core.BoardGeometry({ bubbleRadius: 14, rows: 14, cols: 20 });
     
-    function getRowPosition(row) {
-        return row * GRID_ROW_HEIGHT + BUBBLE_RADIUS * 2;
+    return defaultGeometry.bubbleRadius === 20 && isPrecise(defaultGeometry) && isPrecise(smallBubbles);
+}
+
+// Test that the swept collision finds contacts a per-step overlap check skips
+function testSweptCollision() {
+    console.log('\n🧹 Testing Swept Collision');
+    
+    const predictor = new Core.CollisionPredictor();
+    const grid = Array(10).fill().map(() => Array(14).fill(null));
+    grid[2][5] = { x: 200, y: 300, radius: 20 };
+    
+    // 120px per step: sampled at its end point the bubble would already be past the target
+    const fast = { x: 200, y: 400, vx: 0, vy: -7200, radius: 20 };
+    const hit = predictor.sweep(fast, 1 / 60, grid, { width: 400, restitution: 0.95 });
+    console.log(`Fast shot: ${hit.hit} at (${fast.x}, ${fast.y.toFixed(2)}) after ${hit.time.toFixed(4)}s`);
+    if (hit.hit !== 'bubble' || hit.row !== 2 || hit.col !== 5 || Math.abs(fast.y - 340) > 1e-9) {
+        throw new Error('Fast bubble tunnelled or stopped at the wrong contact');
     }
     
-    // Test perfect hexagonal distances
-    const testCases = [
-        { row: 0, col: 0 },
-        { row: 0, col: 1 },
-        { row: 1, col: 0 },
-        { row: 1, col: 1 }
-    ];
-    
-    console.log('Grid position calculations:');
-    testCases.forEach(({ row, col }) => {
-        const x = getColPosition(row, col);
-        const y = getRowPosition(row);
-        console.log(`  (${row}, ${col}) -> (${x}, ${y})`);
-    });
-    
-    // Verify hexagonal neighbor distances
-    const pos1 = { x: getColPosition(0, 0), y: getRowPosition(0) };
-    const pos2 = { x: getColPosition(0, 1), y: getRowPosition(0) };
-    const pos3 = { x: getColPosition(1, 0), y: getRowPosition(1) };
-    
-    const horizontalDistance = Math.abs(pos2.x - pos1.x);
-    const diagonalDistance = Math.sqrt((pos3.x - pos1.x) ** 2 + (pos3.y - pos1.y) ** 2);
-    
-    console.log(`Horizontal neighbor distance: ${horizontalDistance} (expected: ${BUBBLE_RADIUS * 2})`);
-    console.log(`Diagonal neighbor distance: ${diagonalDistance.toFixed(2)} (expected: ${(BUBBLE_RADIUS * 2).toFixed(2)})`);
-    
-    const horizontalPrecise = Math.abs(horizontalDistance - BUBBLE_RADIUS * 2) < 0.001;
-    const diagonalPrecise = Math.abs(diagonalDistance - BUBBLE_RADIUS * 2) < 0.001;
+    // A bank shot bounces off the right wall before reaching the ceiling
+    const bank = { x: 350, y: 100, vx: 3000, vy: -3000, radius: 20 };
+    const ceiling = predictor.sweep(bank, 1, [], { width: 400, restitution: 1 });
+    console.log(`Bank shot: ${ceiling.hit} after ${ceiling.wallBounces} bounce(s) at x=${bank.x.toFixed(1)}`);
+    if (ceiling.hit !== 'ceiling' || ceiling.wallBounces !== 1 || Math.abs(bank.y - 20) > 1e-9 ||
+        Math.abs(bank.x - 330) > 1e-9) {
+        throw new Error('Bank shot did not bounce to the right ceiling contact');
+    }
     
-    return horizontalPrecise && diagonalPrecise;
+    return true;
 }
 
 // Test enhanced collision detection
@@ -223,6 +250,7 @@ function runAllTests() {
         { name: 'Debug Logger', test: testDebugLogger },
         { name: 'Hexagonal Grid', test: testHexagonalGrid },
         { name: 'Enhanced Collision', test: testEnhancedCollision },
+        { name: 'Swept Collision', test: testSweptCollision },
         { name: 'Performance Benchmark', test: benchmarkCollisionDetection }
     ];
     
@@ -266,6 +294,7 @@ if (typeof window !== 'undefined') {
         testDebugLogger,
         testHexagonalGrid,
         testEnhancedCollision,
+        testSweptCollision,
         benchmarkCollisionDetection
     };
     
@@ -280,3 +309,9 @@ if (typeof window !== 'undefined' && document.readyState === 'complete') {
         runAllTests();
     }, 1000);
 }
+
+// Auto-run tests when executed directly with Node
+if (typeof require !== 'undefined' && typeof module !== 'undefined' && require.main === module) {
+    const { passed, total } = runAllTests();
+    process.exitCode = passed === total ? 0 : 1;
+}
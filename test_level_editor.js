@@ -0,0 +1,166 @@
+// Level Editor Test Script
+// Loads level files into the editor (level_editor.js) and exports them again,
+// checking that nothing is lost on the way. The editor draws into a page, so this
+// runs it against a bare stand-in document. Run with `node test_level_editor.js`.
+
+const Core = require('./game_core.js');
+
+// Just enough of an element for the editor: values read back as strings like form fields do
+class StubElement {
+    constructor(tag) {
+        this.tagName = tag.toUpperCase();
+        this.children = [];
+        this.style = {};
+        this.classList = { toggle() {} };
+        this.checked = false;
+        this.textContent = '';
+        this.innerHTML = '';
+        this.width = 0;
+        this.height = 0;
+        this._value = '';
+    }
+
+    get value() { return this._value; }
+    set value(value) { this._value = String(value); }
+    get options() { return this.children; }
+
+    appendChild(child) { this.children.push(child); return child; }
+    addEventListener() {}
+    getContext() { return new Proxy({}, { get: () => () => {} }); } // Drawing is not under test
+}
+
+function installPage() {
+    const elements = {};
+    global.document = {
+        getElementById: id => elements[id] || (elements[id] = new StubElement(id === 'editorCanvas' ? 'canvas' : 'div')),
+        createElement: tag => new StubElement(tag)
+    };
+    global.window = { addEventListener() {} };
+    global.drawHexGrid = () => {}; // Canvas helpers from game.js
+    global.drawBubbleMark = () => {};
+    Object.assign(global, Core);
+    return require('./level_editor.js').LevelEditor;
+}
+
+const LevelEditor = installPage();
+
+// Loads a level file into a fresh editor and exports it again
+function roundTrip(file) {
+    const level = Core.LevelDefinition.parse(JSON.stringify(file));
+    const editor = new LevelEditor(() => {});
+    editor.load(level);
+    const exported = editor.toDefinition().toJSON();
+    const matches = JSON.stringify(exported) === JSON.stringify(level.toJSON());
+    if (!matches) {
+        console.log('Expected:', JSON.stringify(level.toJSON()));
+        console.log('Exported:', JSON.stringify(exported));
+    }
+    return matches;
+}
+
+// Test that a level using every editor field comes back unchanged
+function testFullLevelRoundTrip() {
+    console.log('\n🔁 Testing Full Level Round Trip');
+
+    return roundTrip({
+        version: 1,
+        name: 'Everything',
+        legend: { S: { type: 'stone' }, I: { color: '#FF6B6B', type: 'ice', hits: 2 }, C: '#123456' },
+        grid: ['RRSCT', 'I.TB'],
+        shooter: { sequence: 'TBC', pool: 'RBC' },
+        rules: { mode: 'strategy', shotLimit: 12, missesPerRow: 3, scoring: { comboStep: 0.25 } },
+        objectives: [{ type: 'clear' }, { type: 'score', target: 500 }, { type: 'pop', color: 'C', count: 4 }]
+    });
+}
+
+// Test that a level without a pool or objective colors stays that way
+function testDefaultsRoundTrip() {
+    console.log('\n🔁 Testing Defaults Round Trip');
+
+    return roundTrip({
+        version: 1,
+        grid: ['RTB', '.G'],
+        rules: { mode: 'arcade', timeLimit: 90 },
+        objectives: [{ type: 'pop', count: 6 }]
+    });
+}
+
+// Test that the pool and pop color survive an edit made after loading
+function testEditAfterLoad() {
+    console.log('\n✏️ Testing Edit After Load');
+
+    const level = Core.LevelDefinition.parse({
+        version: 1,
+        grid: ['RT'],
+        shooter: { pool: 'B' },
+        objectives: [{ type: 'pop', color: 'T', count: 2 }]
+    });
+    const editor = new LevelEditor(() => {});
+    editor.load(level);
+    editor.board.placeBubble(0, 2, Core.BUBBLE_COLORS[4]);
+    const edited = editor.toDefinition();
+    console.log('Edited:', { pool: edited.pool, objectives: edited.objectives });
+
+    return edited.pool.join() === Core.BUBBLE_COLORS[2] &&
+        edited.objectives[0].color === Core.BUBBLE_COLORS[1] &&
+        edited.grid[0][2].color === Core.BUBBLE_COLORS[4];
+}
+
+// Test that each type brush paints its cell type, and that the painted cells export
+function testTypeBrushes() {
+    console.log('\n🖌️ Testing Type Brushes');
+
+    const editor = new LevelEditor(() => {});
+    editor.setBrush(Core.BUBBLE_COLORS[1]);
+    editor.setBrushType('stone');
+    editor.paintCell(0, 0);
+    editor.setBrushType('ice');
+    editor.iceHits.value = 3;
+    editor.paintCell(0, 1);
+    editor.setBrushType('rainbow');
+    editor.paintCell(0, 2);
+    editor.setBrushType('normal');
+    editor.paintCell(0, 3);
+    editor.setBrush(null);
+    editor.paintCell(0, 3);
+    const cells = editor.toDefinition().grid[0].slice(0, 4);
+    console.log('Painted:', cells);
+
+    return cells[0].type === 'stone' && cells[0].color === Core.STONE_COLOR &&
+        cells[1].type === 'ice' && cells[1].hits === 3 && cells[1].color === Core.BUBBLE_COLORS[1] &&
+        cells[2].type === 'rainbow' && cells[2].color === Core.SPECIAL_SHOT_COLORS.rainbow &&
+        cells[3] === null;
+}
+
+function runAllTests() {
+    console.log('🧪 Running Level Editor Tests');
+    console.log('=============================');
+
+    const tests = [
+        { name: 'Full Level Round Trip', test: testFullLevelRoundTrip },
+        { name: 'Defaults Round Trip', test: testDefaultsRoundTrip },
+        { name: 'Edit After Load', test: testEditAfterLoad },
+        { name: 'Type Brushes', test: testTypeBrushes }
+    ];
+
+    const results = tests.map(({ name, test }) => {
+        try {
+            const passed = test();
+            console.log(`${passed ? '✅' : '❌'} ${name}: ${passed ? 'PASSED' : 'FAILED'}`);
+            return { name, passed };
+        } catch (error) {
+            console.log(`❌ ${name}: FAILED - ${error.message}`);
+            return { name, passed: false, error: error.message };
+        }
+    });
+
+    const passedTests = results.filter(r => r.passed).length;
+    console.log(`\n📊 Tests passed: ${passedTests}/${results.length}`);
+
+    return { passed: passedTests, total: results.length, results };
+}
+
+if (require.main === module) {
+    const { passed, total } = runAllTests();
+    process.exitCode = passed === total ? 0 : 1;
+}